@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileSessionRepository = require('../../src/repositories/file-session');
+
+describe('FileSessionRepository', () => {
+    let repo;
+    let directory;
+
+    let session = (telegramId, chatId, payload) => Object.assign(repo.getModel(), { telegramId, chatId, payload });
+
+    beforeEach(() => {
+        let counter = 0;
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+        let config = { base_path: directory, get: () => undefined };
+        let filer = {
+            exists: async filename => fs.existsSync(filename),
+            createDirectory: async filename => fs.mkdirSync(filename, { recursive: true }),
+            createFile: async filename => fs.writeFileSync(filename, ''),
+            lockRead: async filename => fs.readFileSync(filename, 'utf8'),
+        };
+        repo = new FileSessionRepository({}, config, filer, { getRandomString: () => `id${++counter}` }, 'bot');
+    });
+
+    afterEach(() => {
+        fs.unlinkSync(repo.filename);
+        fs.rmdirSync(directory);
+    });
+
+    it('keeps other sessions when saving', async () => {
+        await repo.save(session('1', null, { a: 1 }));
+        await repo.save(session('2', null, { b: 2 }));
+
+        let [ first ] = await repo.findByTelegramId('1');
+        let [ second ] = await repo.findByTelegramId('2');
+        expect(first.payload).toEqual({ a: 1 });
+        expect(second.payload).toEqual({ b: 2 });
+        expect(JSON.parse(fs.readFileSync(repo.filename, 'utf8'))).toEqual(jasmine.objectContaining({ id1: jasmine.any(Object) }));
+    });
+
+    it('keeps concurrent saves', async () => {
+        let ids = [ '1', '2', '3', '4', '5', '6', '7', '8' ];
+        await Promise.all(ids.map(id => repo.save(session(id, null, {}))));
+        expect((await repo.findAll()).map(item => item.telegramId).sort()).toEqual(ids);
+    });
+
+    it('keeps other sessions when deleting', async () => {
+        let model = session('1', null, {});
+        await repo.save(model);
+        await repo.save(session('2', null, {}));
+
+        expect(await repo.delete(model)).toBe(1);
+        expect((await repo.findAll()).map(item => item.telegramId)).toEqual([ '2' ]);
+    });
+
+    it('saves only the expected version', async () => {
+        await repo.save(session('1', null, {}));
+        await repo.save(Object.assign(session('2', null, { a: 1 }), { version: 1 }));
+
+        expect(await repo.saveIfVersion(session('2', null, { a: 2 }), 0)).toBe(false);
+        expect(await repo.saveIfVersion(session('3', null, {}), 0)).toBe(true);
+        expect((await repo.findAll()).map(item => item.telegramId).sort()).toEqual([ '1', '2', '3' ]);
+    });
+
+    it('deletes expired sessions', async () => {
+        let old = session('1', null, {});
+        old.updatedAt = Date.now() - 120 * 1000;
+        await repo.save(old);
+        await repo.save(session('2', null, {}));
+
+        expect(await repo.deleteExpired(60)).toBe(1);
+        expect((await repo.findAll()).map(item => item.telegramId)).toEqual([ '2' ]);
+    });
+});
@@ -0,0 +1,66 @@
+const MemorySessionRepository = require('../../src/repositories/memory-session');
+
+describe('MemorySessionRepository', () => {
+    let repo;
+    let config;
+
+    let session = (telegramId, chatId, payload) => Object.assign(repo.getModel(), { telegramId, chatId, payload });
+
+    beforeEach(() => {
+        let counter = 0;
+        config = { 'servers.bot.session.max_size': 2 };
+        repo = new MemorySessionRepository({}, { get: key => config[key] }, { getRandomString: () => `id${++counter}` }, 'bot');
+    });
+
+    it('saves and finds sessions', async () => {
+        await repo.save(session('1', null, { a: 1 }));
+        await repo.save(session('1', '-5', { b: 2 }));
+
+        let [ personal ] = await repo.findByTelegramId('1');
+        let [ group ] = await repo.findByTelegramId('1', '-5');
+        expect(personal.payload).toEqual({ a: 1 });
+        expect(personal.token).toBe('1');
+        expect(group.payload).toEqual({ b: 2 });
+        expect(group.token).toBe('-5:1');
+    });
+
+    it('drops least recently used sessions', async () => {
+        await repo.save(session('1', null, {}));
+        await repo.save(session('2', null, {}));
+        await repo.findByTelegramId('1');
+        await repo.save(session('3', null, {}));
+
+        let ids = (await repo.findAll()).map(item => item.telegramId).sort();
+        expect(ids).toEqual([ '1', '3' ]);
+    });
+
+    it('saves only the expected version', async () => {
+        let model = session('1', null, { a: 1 });
+        expect(await repo.saveIfVersion(model, 0)).toBe(true);
+        model.version = 1;
+        expect(await repo.saveIfVersion(model, 0)).toBe(true);
+
+        let stale = session('1', null, { a: 2 });
+        expect(await repo.saveIfVersion(stale, 0)).toBe(false);
+        let [ stored ] = await repo.findByTelegramId('1');
+        expect(stored.version).toBe(1);
+        expect(stored.payload).toEqual({ a: 1 });
+    });
+
+    it('deletes sessions', async () => {
+        let model = session('1', null, {});
+        await repo.save(model);
+        expect(await repo.delete(model)).toBe(1);
+        expect(await repo.findAll()).toEqual([]);
+    });
+
+    it('deletes expired sessions', async () => {
+        let old = session('1', null, {});
+        old.updatedAt = Date.now() - 120 * 1000;
+        await repo.save(old);
+        await repo.save(session('2', null, {}));
+
+        expect(await repo.deleteExpired(60)).toBe(1);
+        expect((await repo.findAll()).map(item => item.telegramId)).toEqual([ '2' ]);
+    });
+});
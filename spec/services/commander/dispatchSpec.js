@@ -0,0 +1,191 @@
+const Commander = require('../../../src/services/commander');
+
+describe('Commander dispatch', () => {
+    let commander;
+    let logger;
+
+    let context = text => ({
+        session: {},
+        chat: { id: 1, type: 'private' },
+        from: { id: 2 },
+        message: { text },
+        reply: jasmine.createSpy('reply').and.returnValue(Promise.resolve()),
+    });
+
+    beforeEach(() => {
+        logger = jasmine.createSpyObj('logger', [ 'debug', 'info', 'warn', 'error' ]);
+        commander = new Commander({}, logger, {}, { defaultLocale: 'en' }, {});
+    });
+
+    describe('intents', () => {
+        beforeEach(async () => {
+            commander.addCommand({
+                name: 'weather',
+                priority: 10,
+                examples: [ 'what is the weather', 'show the weather forecast', 'is it raining' ],
+                process: async (commander, ctx, scene, intent) => !!intent && intent.name === 'weather',
+            });
+            commander.addCommand({
+                name: 'cancel',
+                priority: 20,
+                examples: [ 'cancel it', 'stop that', 'never mind' ],
+                process: async (commander, ctx, scene, intent) => !!intent && intent.name === 'cancel',
+            });
+            await commander.initIntents();
+        });
+
+        it('classifies input', () => {
+            expect(commander.classify('en', 'weather forecast please').name).toBe('weather');
+            expect(commander.classify('en', 'please stop that').name).toBe('cancel');
+        });
+
+        it('ignores unrelated input', () => {
+            expect(commander.classify('en', 'zzz qqq')).toBeNull();
+            expect(commander.classify('en', 'hello')).toBeNull();
+            expect(commander.classify('en', 'my cat is sleeping')).toBeNull();
+        });
+
+        it('lowers confidence of partially known input', () => {
+            expect(commander.classify('en', 'weather')).toEqual({ name: 'weather', confidence: jasmine.any(Number) });
+            expect(commander.classify('en', 'my cat hates the weather')).toBeNull();
+        });
+
+        it('does not dispatch unrelated input', async () => {
+            commander.dispatch = 'best';
+            expect(await commander.process(context('my cat is sleeping'), {})).toBe(false);
+        });
+
+        it('passes intent to commands', async () => {
+            let ctx = context('show me the weather');
+            expect(await commander.process(ctx, {})).toBe(true);
+            expect(ctx.intent.name).toBe('weather');
+        });
+    });
+
+    describe('best match', () => {
+        let processed;
+
+        beforeEach(() => {
+            processed = [];
+            commander.dispatch = 'best';
+            for (let [ name, priority, score ] of [ [ 'low', 10, 0.6 ], [ 'high', 30, 0.9 ], [ 'tie', 20, 0.9 ], [ 'none', 5, 0.1 ] ]) {
+                commander.addCommand({
+                    name,
+                    priority,
+                    score: async () => score,
+                    process: async () => processed.push(name) > 0,
+                });
+            }
+        });
+
+        it('runs the command with the highest score', async () => {
+            expect(await commander.process(context('hello'), {})).toBe(true);
+            expect(processed).toEqual([ 'tie' ]);
+        });
+
+        it('ignores scores below the threshold', async () => {
+            commander.scoreThreshold = 0.95;
+            expect(await commander.process(context('hello'), {})).toBe(false);
+            expect(processed).toEqual([]);
+        });
+    });
+
+    describe('access', () => {
+        let process;
+
+        beforeEach(() => {
+            process = jasmine.createSpy('process').and.returnValue(Promise.resolve(true));
+            commander.addCommand({ name: 'ban', priority: 10, access: { admin: true }, score: async () => 0.9, process });
+        });
+
+        let group = text => Object.assign(context(text), {
+            chat: { id: -1, type: 'group' },
+            telegram: { getChatMember: jasmine.createSpy('getChatMember').and.returnValue(Promise.resolve({ status: 'member' })) },
+        });
+
+        it('refuses the best match', async () => {
+            commander.dispatch = 'best';
+            let ctx = group('ban him');
+            expect(await commander.process(ctx, {})).toBe(true);
+            expect(process).not.toHaveBeenCalled();
+            expect(ctx.reply).toHaveBeenCalledWith('Access denied');
+            expect(logger.info).toHaveBeenCalled();
+        });
+
+        it('skips first match commands silently', async () => {
+            let ctx = group('hello');
+            expect(await commander.process(ctx, {})).toBe(false);
+            expect(process).not.toHaveBeenCalled();
+            expect(ctx.reply).not.toHaveBeenCalled();
+            expect(logger.debug).toHaveBeenCalledWith('commander', 'Command ban skipped, access denied (admin)');
+        });
+
+        it('caches admin lookups', async () => {
+            commander.dispatch = 'best';
+            let ctx = group('ban him');
+            await commander.process(ctx, {});
+            await commander.process(Object.assign(group('ban him'), { telegram: ctx.telegram }), {});
+            expect(ctx.telegram.getChatMember.calls.count()).toBe(1);
+        });
+
+        it('treats lookup errors as not admin', async () => {
+            commander.dispatch = 'best';
+            let ctx = group('ban him');
+            ctx.telegram.getChatMember.and.returnValue(Promise.reject(new Error('Bad Request')));
+            expect(await commander.process(ctx, {})).toBe(true);
+            expect(process).not.toHaveBeenCalled();
+            expect(ctx.reply).toHaveBeenCalledWith('Access denied');
+            expect(logger.error).toHaveBeenCalled();
+        });
+    });
+
+    describe('slash commands', () => {
+        let run;
+
+        beforeEach(() => {
+            run = jasmine.createSpy('run').and.returnValue(Promise.resolve(true));
+            commander.addCommand({
+                name: 'remind',
+                priority: 10,
+                slash: 'remind',
+                params: [
+                    { name: 'count', type: 'integer', required: true },
+                    { name: 'text', type: 'text' },
+                ],
+                run,
+            });
+        });
+
+        let command = text => {
+            let ctx = context(text);
+            ctx.me = 'MyBot';
+            ctx.message.entities = [ { type: 'bot_command', offset: 0, length: text.split(' ')[0].length } ];
+            return ctx;
+        };
+
+        it('parses arguments', async () => {
+            expect(await commander.process(command('/remind@MyBot 3 "buy milk" now'), {})).toBe(true);
+            expect(run.calls.mostRecent().args[3]).toEqual({ count: 3, text: 'buy milk now' });
+        });
+
+        it('replies with usage on invalid arguments', async () => {
+            let ctx = command('/remind many');
+            expect(await commander.process(ctx, {})).toBe(true);
+            expect(run).not.toHaveBeenCalled();
+            expect(ctx.reply.calls.mostRecent().args[0]).toContain('/remind <count> [text...]');
+        });
+
+        it('ignores commands of other bots', async () => {
+            expect(await commander.process(command('/remind@OtherBot 3'), {})).toBe(false);
+            expect(run).not.toHaveBeenCalled();
+        });
+
+        it('refuses commands without access', async () => {
+            commander.getCommand('remind').access = { chats: 'group' };
+            let ctx = command('/remind 3');
+            expect(await commander.process(ctx, {})).toBe(true);
+            expect(run).not.toHaveBeenCalled();
+            expect(ctx.reply).toHaveBeenCalledWith('Access denied');
+        });
+    });
+});
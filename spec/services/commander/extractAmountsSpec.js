@@ -0,0 +1,40 @@
+const Commander = require('../../../src/services/commander');
+
+describe('Commander.extractAmounts()', () => {
+    let commander;
+
+    beforeEach(() => {
+        commander = new Commander({}, jasmine.createSpyObj('logger', [ 'debug', 'info', 'warn', 'error' ]), {}, { defaultLocale: 'en' }, {});
+    });
+
+    it('finds currency symbols and codes', async () => {
+        expect(await commander.extractAmounts('en', 'paid $12.50 and 150 EUR')).toEqual([
+            { value: 12.5, currency: 'USD', index: 5, text: '$12.50' },
+            { value: 150, currency: 'EUR', index: 16, text: '150 EUR' },
+        ]);
+    });
+
+    it('finds currency names', async () => {
+        expect(await commander.extractAmounts('ru', 'обед 150 руб')).toEqual([
+            { value: 150, currency: 'RUB', index: 5, text: '150 руб' },
+        ]);
+    });
+
+    it('uses locale separators', async () => {
+        expect(await commander.extractAmounts('en', '1,500.25')).toEqual([
+            { value: 1500.25, currency: null, index: 0, text: '1,500.25' },
+        ]);
+        expect(await commander.extractAmounts('ru', '1 500,25')).toEqual([
+            { value: 1500.25, currency: null, index: 0, text: '1 500,25' },
+        ]);
+    });
+
+    it('finds numbers written as words', async () => {
+        expect(await commander.extractAmounts('en', 'three hundred dollars')).toEqual([
+            { value: 300, currency: 'USD', index: 0, text: 'three hundred dollars' },
+        ]);
+        expect(await commander.extractAmounts('ru', 'двадцать пять рублей')).toEqual([
+            { value: 25, currency: 'RUB', index: 0, text: 'двадцать пять рублей' },
+        ]);
+    });
+});
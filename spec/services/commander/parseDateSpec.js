@@ -0,0 +1,111 @@
+const Commander = require('../../../src/services/commander');
+
+describe('Commander.parseDate()', () => {
+    let commander;
+
+    let parse = async (locale, input, options) => {
+        let result = await commander.parseDate(locale, input, options);
+        return result && { date: result.date.format('YYYY-MM-DD'), text: result.text };
+    };
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2026, 9, 14, 10, 0)); // Wednesday
+        commander = new Commander({}, jasmine.createSpyObj('logger', [ 'debug', 'info', 'warn', 'error' ]), {}, { defaultLocale: 'en' }, {});
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('finds numeric dates', async () => {
+        expect(await parse('en', 'due 2026-12-05')).toEqual({ date: '2026-12-05', text: '2026-12-05' });
+        expect(await parse('en', 'on 12/25')).toEqual({ date: '2026-12-25', text: '12/25' });
+        expect(await parse('ru', 'до 25.12')).toEqual({ date: '2026-12-25', text: '25.12' });
+    });
+
+    it('moves dates without year forward', async () => {
+        expect(await parse('en', '1/5')).toEqual({ date: '2027-01-05', text: '1/5' });
+        expect(await parse('en', '1/5', { future: false })).toEqual({ date: '2026-01-05', text: '1/5' });
+    });
+
+    it('finds relative days', async () => {
+        expect(await parse('en', 'see you tomorrow')).toEqual({ date: '2026-10-15', text: 'tomorrow' });
+        expect(await parse('en', 'the day after tomorrow')).toEqual({ date: '2026-10-16', text: 'day after tomorrow' });
+        expect(await parse('ru', 'вчера')).toEqual({ date: '2026-10-13', text: 'вчера' });
+    });
+
+    it('finds offsets', async () => {
+        expect(await parse('en', 'in 3 days')).toEqual({ date: '2026-10-17', text: 'in 3 days' });
+        expect(await parse('en', '2 weeks ago')).toEqual({ date: '2026-09-30', text: '2 weeks ago' });
+        expect(await parse('ru', 'через 3 дня')).toEqual({ date: '2026-10-17', text: 'через 3 дня' });
+    });
+
+    it('finds weekdays', async () => {
+        expect(await parse('en', 'friday')).toEqual({ date: '2026-10-16', text: 'friday' });
+        expect(await parse('en', 'monday')).toEqual({ date: '2026-10-19', text: 'monday' });
+        expect(await parse('en', 'monday', { future: false })).toEqual({ date: '2026-10-12', text: 'monday' });
+        expect(await parse('en', 'next tuesday')).toEqual({ date: '2026-10-20', text: 'next tuesday' });
+        expect(await parse('en', 'last friday')).toEqual({ date: '2026-10-09', text: 'last friday' });
+        expect(await parse('en', 'this friday')).toEqual({ date: '2026-10-16', text: 'this friday' });
+    });
+
+    it('counts relative weekdays from today', async () => {
+        jasmine.clock().mockDate(new Date(2026, 9, 18, 10, 0)); // Sunday
+        expect(await parse('en', 'last friday')).toEqual({ date: '2026-10-16', text: 'last friday' });
+        expect(await parse('en', 'next monday')).toEqual({ date: '2026-10-19', text: 'next monday' });
+        expect(await parse('en', 'next sunday')).toEqual({ date: '2026-10-25', text: 'next sunday' });
+        expect(await parse('en', 'last sunday')).toEqual({ date: '2026-10-11', text: 'last sunday' });
+    });
+
+    it('finds periods', async () => {
+        expect(await parse('en', 'next week')).toEqual({ date: '2026-10-19', text: 'next week' });
+        expect(await parse('en', 'end of month')).toEqual({ date: '2026-10-31', text: 'end of month' });
+        expect(await parse('en', 'beginning of next month')).toEqual({ date: '2026-11-01', text: 'beginning of next month' });
+    });
+
+    it('finds days of month', async () => {
+        expect(await parse('en', 'the 5th of march')).toEqual({ date: '2027-03-05', text: '5th of march' });
+        expect(await parse('en', 'march 5th')).toEqual({ date: '2027-03-05', text: 'march 5th' });
+        expect(await parse('en', 'the 20th')).toEqual({ date: '2026-10-20', text: '20th' });
+        expect(await parse('ru', '5 марта')).toEqual({ date: '2027-03-05', text: '5 марта' });
+    });
+
+    it('returns null when there is no date', async () => {
+        expect(await parse('en', 'hello world')).toBeNull();
+    });
+});
+
+describe('Commander.parseDateTime()', () => {
+    let commander;
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2026, 9, 14, 10, 0));
+        commander = new Commander({}, jasmine.createSpyObj('logger', [ 'debug', 'info', 'warn', 'error' ]), {}, { defaultLocale: 'en' }, {});
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('combines date and time', async () => {
+        let result = await commander.parseDateTime('en', 'tomorrow at 15:30');
+        expect(result.date.format('YYYY-MM-DD HH:mm')).toBe('2026-10-15 15:30');
+        expect(result.hasDate).toBe(true);
+        expect(result.hasTime).toBe(true);
+        expect(result.text).toBe('tomorrow at 15:30');
+    });
+
+    it('moves passed time to tomorrow', async () => {
+        let result = await commander.parseDateTime('en', 'at 9 am');
+        expect(result.date.format('YYYY-MM-DD HH:mm')).toBe('2026-10-15 09:00');
+        expect(result.hasDate).toBe(false);
+    });
+
+    it('uses midnight without time', async () => {
+        let result = await commander.parseDateTime('ru', 'послезавтра');
+        expect(result.date.format('YYYY-MM-DD HH:mm')).toBe('2026-10-16 00:00');
+        expect(result.hasTime).toBe(false);
+    });
+});
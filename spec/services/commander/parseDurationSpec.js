@@ -0,0 +1,30 @@
+const Commander = require('../../../src/services/commander');
+
+describe('Commander.parseDuration()', () => {
+    let commander;
+
+    let parse = async (locale, input) => {
+        let result = await commander.parseDuration(locale, input);
+        return result && { minutes: result.duration.asMinutes(), text: result.text };
+    };
+
+    beforeEach(() => {
+        commander = new Commander({}, jasmine.createSpyObj('logger', [ 'debug', 'info', 'warn', 'error' ]), {}, { defaultLocale: 'en' }, {});
+    });
+
+    it('adds up units', async () => {
+        expect(await parse('en', 'remind me in 2 hours 30 min')).toEqual({ minutes: 150, text: '2 hours 30 min' });
+        expect(await parse('en', '1 day and 2 hours')).toEqual({ minutes: 1560, text: '1 day and 2 hours' });
+    });
+
+    it('understands fractions', async () => {
+        expect(await parse('en', '1.5 days')).toEqual({ minutes: 2160, text: '1.5 days' });
+        expect(await parse('en', 'an hour and a half')).toEqual({ minutes: 90, text: 'an hour and a half' });
+        expect(await parse('ru', 'полтора часа')).toEqual({ minutes: 90, text: 'полтора часа' });
+        expect(await parse('ru', 'полчаса')).toEqual({ minutes: 30, text: 'полчаса' });
+    });
+
+    it('returns null when there is no duration', async () => {
+        expect(await parse('en', 'hello world')).toBeNull();
+    });
+});
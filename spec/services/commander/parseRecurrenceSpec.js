@@ -0,0 +1,73 @@
+const Commander = require('../../../src/services/commander');
+
+describe('Commander.parseRecurrence()', () => {
+    let commander;
+
+    let parse = async (locale, input) => {
+        let result = await commander.parseRecurrence(locale, input);
+        if (result)
+            delete result.index;
+        return result;
+    };
+
+    beforeEach(() => {
+        commander = new Commander({}, jasmine.createSpyObj('logger', [ 'debug', 'info', 'warn', 'error' ]), {}, { defaultLocale: 'en' }, {});
+    });
+
+    it('finds recurrence phrases', async () => {
+        expect(await parse('en', 'weekly')).toEqual({ frequency: 'weekly', interval: 1, weekdays: null, time: null, text: 'weekly' });
+        expect(await parse('ru', 'каждый день')).toEqual({ frequency: 'daily', interval: 1, weekdays: null, time: null, text: 'каждый день' });
+        expect(await parse('ru', 'по будням')).toEqual({ frequency: 'weekly', interval: 1, weekdays: [ 1, 2, 3, 4, 5 ], time: null, text: 'по будням' });
+    });
+
+    it('finds intervals', async () => {
+        expect(await parse('en', 'every 2 weeks')).toEqual({ frequency: 'weekly', interval: 2, weekdays: null, time: null, text: 'every 2 weeks' });
+        expect(await parse('en', 'every hour')).toEqual({ frequency: 'hourly', interval: 1, weekdays: null, time: null, text: 'every hour' });
+    });
+
+    it('finds weekdays and time', async () => {
+        expect(await parse('en', 'every monday and friday at 9')).toEqual({
+            frequency: 'weekly',
+            interval: 1,
+            weekdays: [ 1, 5 ],
+            time: { hours: 9, minutes: 0 },
+            text: 'every monday and friday at 9',
+        });
+        expect(await parse('ru', 'каждый день в 10 утра')).toEqual({
+            frequency: 'daily',
+            interval: 1,
+            weekdays: null,
+            time: { hours: 10, minutes: 0 },
+            text: 'каждый день в 10 утра',
+        });
+    });
+
+    it('finds weekdays after recurrence phrases', async () => {
+        expect(await parse('en', 'weekly on friday')).toEqual({ frequency: 'weekly', interval: 1, weekdays: [ 5 ], time: null, text: 'weekly on friday' });
+        expect(await parse('en', 'every 2 weeks on monday and thursday')).toEqual({
+            frequency: 'weekly',
+            interval: 2,
+            weekdays: [ 1, 4 ],
+            time: null,
+            text: 'every 2 weeks on monday and thursday',
+        });
+        expect(await parse('ru', 'еженедельно в пятницу в 10')).toEqual({
+            frequency: 'weekly',
+            interval: 1,
+            weekdays: [ 5 ],
+            time: { hours: 10, minutes: 0 },
+            text: 'еженедельно в пятницу в 10',
+        });
+        expect(await parse('ru', 'еженедельно в 10')).toEqual({
+            frequency: 'weekly',
+            interval: 1,
+            weekdays: null,
+            time: { hours: 10, minutes: 0 },
+            text: 'еженедельно в 10',
+        });
+    });
+
+    it('returns null when there is no recurrence', async () => {
+        expect(await parse('en', 'tomorrow at 9')).toBeNull();
+    });
+});
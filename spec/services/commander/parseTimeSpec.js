@@ -0,0 +1,43 @@
+const Commander = require('../../../src/services/commander');
+
+describe('Commander.parseTime()', () => {
+    let commander;
+
+    let parse = async (locale, input) => {
+        let result = await commander.parseTime(locale, input);
+        return result && { time: `${result.hours}:${result.minutes}`, text: result.text };
+    };
+
+    beforeEach(() => {
+        commander = new Commander({}, jasmine.createSpyObj('logger', [ 'debug', 'info', 'warn', 'error' ]), {}, { defaultLocale: 'en' }, {});
+    });
+
+    it('finds 24-hour time', async () => {
+        expect(await parse('en', 'meet at 15:30 please')).toEqual({ time: '15:30', text: 'at 15:30' });
+        expect(await parse('ru', 'в 9:05')).toEqual({ time: '9:5', text: 'в 9:05' });
+    });
+
+    it('finds 12-hour time', async () => {
+        expect(await parse('en', '3 pm')).toEqual({ time: '15:0', text: '3 pm' });
+        expect(await parse('en', '11:45 am')).toEqual({ time: '11:45', text: '11:45 am' });
+        expect(await parse('en', "at 7 o'clock in the evening")).toEqual({ time: '19:0', text: "at 7 o'clock in the evening" });
+    });
+
+    it('finds words of time', async () => {
+        expect(await parse('en', 'at noon')).toEqual({ time: '12:0', text: 'at noon' });
+        expect(await parse('ru', 'в 3 часа дня')).toEqual({ time: '15:0', text: 'в 3 часа дня' });
+        expect(await parse('ru', 'утром')).toEqual({ time: '9:0', text: 'утром' });
+    });
+
+    it('ignores bare numbers', async () => {
+        expect(await parse('en', 'buy 3 apples')).toBeNull();
+        expect(await parse('en', 'costs 12.50')).toBeNull();
+        expect(await parse('en', 'pay 12.50 tomorrow')).toBeNull();
+        expect(await parse('ru', '2.30 кг')).toBeNull();
+    });
+
+    it('accepts dot separator next to time words', async () => {
+        expect(await parse('en', 'at 12.50')).toEqual({ time: '12:50', text: 'at 12.50' });
+        expect(await parse('ru', 'в 9.30 утра')).toEqual({ time: '9:30', text: 'в 9.30 утра' });
+    });
+});
@@ -0,0 +1,62 @@
+const SendQueue = require('../../src/services/send-queue');
+
+describe('SendQueue', () => {
+    let queue;
+    let telegram;
+    let sent;
+
+    beforeEach(() => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2026, 9, 14, 10, 0));
+
+        sent = [];
+        telegram = {
+            callApi: async (method, extra) => {
+                sent.push(`${method} ${extra.chat_id}`);
+                return true;
+            },
+        };
+        queue = new SendQueue({}, { get: () => undefined }, jasmine.createSpyObj('logger', [ 'debug', 'info', 'warn', 'error' ]));
+        queue.init('bot');
+        queue.install(telegram);
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('queues message methods only', () => {
+        expect(SendQueue.methods.test('sendMessage')).toBe(true);
+        expect(SendQueue.methods.test('sendPhoto')).toBe(true);
+        expect(SendQueue.methods.test('editMessageText')).toBe(true);
+        expect(SendQueue.methods.test('forwardMessage')).toBe(true);
+        expect(SendQueue.methods.test('sendChatAction')).toBe(false);
+        expect(SendQueue.methods.test('editChatInviteLink')).toBe(false);
+        expect(SendQueue.methods.test('getChatMember')).toBe(false);
+    });
+
+    it('does not delay replies after chat action', () => {
+        telegram.callApi('sendChatAction', { chat_id: 5, action: 'typing' });
+        telegram.callApi('sendMessage', { chat_id: 5, text: 'hi' });
+        jasmine.clock().tick(1);
+        expect(sent).toEqual([ 'sendChatAction 5', 'sendMessage 5' ]);
+    });
+
+    it('limits private chats per second', () => {
+        telegram.callApi('sendMessage', { chat_id: 5, text: '1' });
+        telegram.callApi('sendMessage', { chat_id: 5, text: '2' });
+        jasmine.clock().tick(1);
+        expect(sent).toEqual([ 'sendMessage 5' ]);
+        jasmine.clock().tick(1000);
+        expect(sent).toEqual([ 'sendMessage 5', 'sendMessage 5' ]);
+    });
+
+    it('applies group limit to groups and channels', () => {
+        for (let chatId of [ -100, '@channel' ]) {
+            telegram.callApi('sendMessage', { chat_id: chatId, text: '1' });
+            telegram.callApi('sendMessage', { chat_id: chatId, text: '2' });
+        }
+        jasmine.clock().tick(1);
+        expect(sent).toEqual([ 'sendMessage -100', 'sendMessage -100', 'sendMessage @channel', 'sendMessage @channel' ]);
+    });
+});
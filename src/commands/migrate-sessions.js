@@ -0,0 +1,89 @@
+/**
+ * Migrate sessions command
+ * @module commands/migrate-sessions
+ */
+const argvParser = require('argv');
+
+/**
+ * Command to upgrade payloads of all the stored sessions of a bot
+ */
+class MigrateSessions {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {object} config           Configuration
+     */
+    constructor(app, config) {
+        this._app = app;
+        this._config = config;
+    }
+
+    /**
+     * Service name is 'commands.migrateSessions'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.migrateSessions';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config' ];
+    }
+
+    /**
+     * Run the command
+     * @param {string[]} argv           Arguments
+     * @return {Promise}
+     */
+    async run(argv) {
+        let args = argvParser
+            .option({
+                name: 'help',
+                short: 'h',
+                type: 'boolean',
+            })
+            .run(argv);
+
+        if (args.targets.length < 2)
+            return this.error('Need server name');
+
+        let server = args.targets[1];
+        let config = this._config.get(`servers.${server}.session`);
+        if (!config || !config.bridge)
+            return this.error(`Sessions are not configured for ${server}`);
+
+        try {
+            let bridge = this._app.get(config.bridge, server);
+            let count = await bridge.migrateAll();
+            await this._app.info(`Migrated sessions: ${count}`);
+        } catch (error) {
+            return this.error(error);
+        }
+    }
+
+    /**
+     * Log error and terminate
+     * @param {...*} args
+     * @return {Promise}
+     */
+    async error(...args) {
+        try {
+            await args.reduce(
+                async (prev, cur) => {
+                    await prev;
+                    return this._app.error(cur.fullStack || cur.stack || cur.message || cur);
+                },
+                Promise.resolve()
+            );
+        } catch (error) {
+            // do nothing
+        }
+        process.exit(1);
+    }
+}
+
+module.exports = MigrateSessions;
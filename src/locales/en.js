@@ -0,0 +1,194 @@
+/**
+ * English locale pack
+ * <br><br>
+ * This is the reference pack with every key documented, packs of other locales may define only some of them.
+ * Phrases are compared by stems, so other forms of the same words match as well.
+ * @module telegram/locales/en
+ */
+module.exports = {
+    // Numeric date formats, parts are listed in the order of the groups
+    dateFormats: [
+        { re: /(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})(?!\d)/, parts: [ 'month', 'day', 'year' ] },
+        { re: /(\d{1,2})\/(\d{1,2})(?![\d/])/, parts: [ 'month', 'day' ] },
+    ],
+    // Weekday phrases, starting with Sunday
+    weekdays: [
+        [ 'sunday' ],
+        [ 'monday' ],
+        [ 'tuesday' ],
+        [ 'wednesday' ],
+        [ 'thursday' ],
+        [ 'friday' ],
+        [ 'saturday' ],
+    ],
+    // Month phrases, starting with January
+    months: [
+        [ 'january', 'jan' ],
+        [ 'february', 'feb' ],
+        [ 'march', 'mar' ],
+        [ 'april', 'apr' ],
+        [ 'may' ],
+        [ 'june', 'jun' ],
+        [ 'july', 'jul' ],
+        [ 'august', 'aug' ],
+        [ 'september', 'sep', 'sept' ],
+        [ 'october', 'oct' ],
+        [ 'november', 'nov' ],
+        [ 'december', 'dec' ],
+    ],
+    // Phrases of days relative to today, longer phrases go first
+    relativeDays: [
+        { words: 'day before yesterday', days: -2 },
+        { words: 'day after tomorrow', days: 2 },
+        { words: 'yesterday', days: -1 },
+        { words: 'today', days: 0 },
+        { words: 'tomorrow', days: 1 },
+    ],
+    // Calendar units and their forms
+    units: {
+        day: [ 'day', 'days' ],
+        week: [ 'week', 'weeks' ],
+        month: [ 'month', 'months' ],
+        year: [ 'year', 'years' ],
+    },
+    // "in 3 days"
+    after: [ 'in an', 'in a', 'in', 'within' ],
+    // "3 days ago"
+    ago: [ 'ago', 'before' ],
+    // "next week", "next tuesday"
+    next: [ 'next', 'the next', 'following' ],
+    // "last week", "last tuesday"
+    last: [ 'last', 'the last', 'previous' ],
+    // "this week", "this tuesday"
+    current: [ 'this' ],
+    // "end of month"
+    endOf: [ 'end of the', 'end of', 'the end of the', 'the end of' ],
+    // "beginning of month"
+    startOf: [ 'beginning of the', 'beginning of', 'start of the', 'start of', 'the beginning of the', 'the beginning of' ],
+    // Words between day and month: "5th of march"
+    of: [ 'of' ],
+    // Ordinal suffixes: "5th"
+    ordinals: [ 'st', 'nd', 'rd', 'th' ],
+    // Last working day of the week
+    weekEnd: 5,
+    // "at 5"
+    at: [ 'at', 'at about', 'around', 'by' ],
+    // "5 o'clock"
+    hourWords: [ "o'clock", 'h' ],
+    // "5 hours 30 minutes"
+    minuteWords: [ 'minutes', 'minute', 'min' ],
+    // Fixed times of day
+    timeWords: [
+        { words: 'noon', hours: 12 },
+        { words: 'midday', hours: 12 },
+        { words: 'midnight', hours: 0 },
+    ],
+    // Parts of the day: range of hours and default hour when used alone
+    dayParts: [
+        { words: [ 'am', 'a m' ], from: 0, to: 11 },
+        { words: [ 'pm', 'p m' ], from: 12, to: 23 },
+        { words: [ 'in the morning', 'morning' ], from: 4, to: 11, hours: 9 },
+        { words: [ 'in the afternoon', 'afternoon' ], from: 12, to: 17, hours: 15 },
+        { words: [ 'in the evening', 'evening', 'tonight' ], from: 17, to: 23, hours: 19 },
+        { words: [ 'at night', 'night' ], from: 21, to: 4, hours: 23 },
+    ],
+    // Units of time shorter than a day
+    timeUnits: {
+        second: [ 'second', 'seconds', 'sec', 'secs' ],
+        minute: [ 'minute', 'minutes', 'min', 'mins' ],
+        hour: [ 'hour', 'hours', 'hr', 'hrs', 'h' ],
+    },
+    // Amounts written in words
+    amounts: [
+        { words: 'a couple of', amount: 2 },
+        { words: 'couple of', amount: 2 },
+        { words: 'half an', amount: 0.5 },
+        { words: 'half a', amount: 0.5 },
+        { words: 'an', amount: 1 },
+        { words: 'a', amount: 1 },
+    ],
+    // Durations written in one phrase
+    durationWords: [
+        { words: 'a quarter of an hour', amount: 15, unit: 'minute' },
+        { words: 'quarter of an hour', amount: 15, unit: 'minute' },
+        { words: 'quarter hour', amount: 15, unit: 'minute' },
+    ],
+    // "an hour and a half"
+    half: [ 'and a half' ],
+    // "2 hours and 30 minutes"
+    and: [ 'and' ],
+    // "every day"
+    every: [ 'every', 'each' ],
+    // "weekly on Friday"
+    on: [ 'on' ],
+    // Recurrences written in one phrase
+    recurrences: [
+        { words: [ 'on weekdays', 'weekdays', 'every weekday' ], frequency: 'weekly', weekdays: [ 1, 2, 3, 4, 5 ] },
+        { words: [ 'on weekends', 'weekends', 'every weekend' ], frequency: 'weekly', weekdays: [ 0, 6 ] },
+        { words: [ 'hourly' ], frequency: 'hourly' },
+        { words: [ 'daily' ], frequency: 'daily' },
+        { words: [ 'weekly' ], frequency: 'weekly' },
+        { words: [ 'monthly' ], frequency: 'monthly' },
+        { words: [ 'yearly', 'annually' ], frequency: 'yearly' },
+    ],
+    // Cardinal numbers, multipliers are applied to the preceding number
+    numberWords: [
+        { words: [ 'zero' ], value: 0 },
+        { words: [ 'one' ], value: 1 },
+        { words: [ 'two' ], value: 2 },
+        { words: [ 'three' ], value: 3 },
+        { words: [ 'four' ], value: 4 },
+        { words: [ 'five' ], value: 5 },
+        { words: [ 'six' ], value: 6 },
+        { words: [ 'seven' ], value: 7 },
+        { words: [ 'eight' ], value: 8 },
+        { words: [ 'nine' ], value: 9 },
+        { words: [ 'ten' ], value: 10 },
+        { words: [ 'eleven' ], value: 11 },
+        { words: [ 'twelve' ], value: 12 },
+        { words: [ 'thirteen' ], value: 13 },
+        { words: [ 'fourteen' ], value: 14 },
+        { words: [ 'fifteen' ], value: 15 },
+        { words: [ 'sixteen' ], value: 16 },
+        { words: [ 'seventeen' ], value: 17 },
+        { words: [ 'eighteen' ], value: 18 },
+        { words: [ 'nineteen' ], value: 19 },
+        { words: [ 'twenty' ], value: 20 },
+        { words: [ 'thirty' ], value: 30 },
+        { words: [ 'forty' ], value: 40 },
+        { words: [ 'fifty' ], value: 50 },
+        { words: [ 'sixty' ], value: 60 },
+        { words: [ 'seventy' ], value: 70 },
+        { words: [ 'eighty' ], value: 80 },
+        { words: [ 'ninety' ], value: 90 },
+        { words: [ 'hundred', 'hundreds' ], value: 100, multiplier: true },
+        { words: [ 'thousand', 'thousands', 'k' ], value: 1000, multiplier: true },
+        { words: [ 'million', 'millions' ], value: 1000000, multiplier: true },
+        { words: [ 'billion', 'billions' ], value: 1000000000, multiplier: true },
+    ],
+    // "1.5"
+    decimalSeparators: [ '.' ],
+    // "1,500"
+    groupSeparators: [ ',' ],
+    // Currencies: ISO code, symbols and names
+    currencies: [
+        { code: 'USD', symbols: [ '$' ], words: [ 'dollar', 'dollars', 'buck', 'bucks' ] },
+        { code: 'EUR', symbols: [ '€' ], words: [ 'euro', 'euros' ] },
+        { code: 'GBP', symbols: [ '£' ], words: [ 'pound', 'pounds' ] },
+        { code: 'RUB', symbols: [ '₽' ], words: [ 'ruble', 'rubles', 'rouble', 'roubles' ] },
+        { code: 'UAH', symbols: [ '₴' ], words: [ 'hryvnia', 'hryvnias' ] },
+        { code: 'JPY', symbols: [ '¥' ], words: [ 'yen' ] },
+        { code: 'CNY', symbols: [], words: [ 'yuan' ] },
+    ],
+    // Words ignored by Commander.stem()
+    stopWords: [ 'please', 'pls', 'plz', 'kindly', 'just' ],
+    // Words treated as equal by Commander.hasAll() and the like
+    synonyms: [
+        [ 'cancel', 'stop', 'abort', 'quit' ],
+        [ 'help', 'assist' ],
+        [ 'yes', 'yeah', 'yep', 'sure', 'ok', 'okay' ],
+        [ 'start', 'begin' ],
+        [ 'show', 'display', 'list' ],
+        [ 'delete', 'remove', 'erase' ],
+    ],
+};
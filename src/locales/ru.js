@@ -0,0 +1,195 @@
+/**
+ * Russian locale pack
+ * @module telegram/locales/ru
+ */
+module.exports = {
+    // Numeric date formats, parts are listed in the order of the groups
+    dateFormats: [
+        { re: /(\d{1,2})[./](\d{1,2})[./](\d{4}|\d{2})(?!\d)/, parts: [ 'day', 'month', 'year' ] },
+        { re: /(\d{1,2})[./](\d{1,2})(?![\d./])/, parts: [ 'day', 'month' ] },
+    ],
+    // Weekday phrases, starting with Sunday
+    weekdays: [
+        [ 'воскресенье' ],
+        [ 'понедельник' ],
+        [ 'вторник' ],
+        [ 'среда' ],
+        [ 'четверг' ],
+        [ 'пятница' ],
+        [ 'суббота' ],
+    ],
+    // Month phrases, starting with January
+    months: [
+        [ 'январь', 'янв' ],
+        [ 'февраль', 'фев' ],
+        [ 'март', 'мар' ],
+        [ 'апрель', 'апр' ],
+        [ 'май', 'мая' ],
+        [ 'июнь' ],
+        [ 'июль' ],
+        [ 'август', 'авг' ],
+        [ 'сентябрь', 'сен', 'сент' ],
+        [ 'октябрь', 'окт' ],
+        [ 'ноябрь', 'ноя' ],
+        [ 'декабрь', 'дек' ],
+    ],
+    // Phrases of days relative to today, longer phrases go first
+    relativeDays: [
+        { words: 'позавчера', days: -2 },
+        { words: 'послезавтра', days: 2 },
+        { words: 'вчера', days: -1 },
+        { words: 'сегодня', days: 0 },
+        { words: 'завтра', days: 1 },
+    ],
+    // Calendar units and their forms
+    units: {
+        day: [ 'день', 'дня', 'дней', 'сутки', 'суток' ],
+        week: [ 'неделя', 'недели', 'недель', 'неделю', 'неделе' ],
+        month: [ 'месяц', 'месяца', 'месяцев', 'месяце' ],
+        year: [ 'год', 'года', 'лет', 'году' ],
+    },
+    // "через 3 дня"
+    after: [ 'через' ],
+    // "3 дня назад"
+    ago: [ 'назад' ],
+    // "на следующей неделе", "в следующий вторник"
+    next: [ 'на следующей', 'в следующий', 'в следующую', 'в следующее', 'в следующем', 'следующий', 'следующая', 'следующее', 'следующей', 'следующую' ],
+    // "на прошлой неделе", "в прошлый вторник"
+    last: [ 'на прошлой', 'в прошлый', 'в прошлую', 'в прошлое', 'в прошлом', 'прошлый', 'прошлая', 'прошлое', 'прошлой', 'прошлую' ],
+    // "на этой неделе", "в этот вторник"
+    current: [ 'на этой', 'в этот', 'в эту', 'в этом', 'этот', 'эта', 'эту', 'этой' ],
+    // "в конце месяца"
+    endOf: [ 'в конце', 'конец', 'к концу' ],
+    // "в начале месяца"
+    startOf: [ 'в начале', 'начало', 'к началу' ],
+    // Words between day and month
+    of: [],
+    // Ordinal suffixes: "5-го", "5 числа"
+    ordinals: [ 'го', 'е', 'ое', 'ого', 'числа' ],
+    // Last working day of the week
+    weekEnd: 5,
+    // "в 5"
+    at: [ 'в', 'около', 'к' ],
+    // "5 часов"
+    hourWords: [ 'час', 'часа', 'часов', 'ч' ],
+    // "5 часов 30 минут"
+    minuteWords: [ 'минут', 'минуты', 'минуту', 'мин' ],
+    // Fixed times of day
+    timeWords: [
+        { words: 'полдень', hours: 12 },
+        { words: 'полночь', hours: 0 },
+    ],
+    // Parts of the day: range of hours and default hour when used alone
+    dayParts: [
+        { words: [ 'утра', 'утром' ], from: 4, to: 11, hours: 9 },
+        { words: [ 'дня', 'днем', 'днём' ], from: 12, to: 17, hours: 15 },
+        { words: [ 'вечера', 'вечером' ], from: 17, to: 23, hours: 19 },
+        { words: [ 'ночи', 'ночью' ], from: 21, to: 4, hours: 23 },
+    ],
+    // Units of time shorter than a day
+    timeUnits: {
+        second: [ 'секунда', 'секунды', 'секунд', 'секунду', 'сек' ],
+        minute: [ 'минута', 'минуты', 'минут', 'минуту', 'мин' ],
+        hour: [ 'час', 'часа', 'часов', 'ч' ],
+    },
+    // Amounts written in words
+    amounts: [
+        { words: 'полтора', amount: 1.5 },
+        { words: 'полторы', amount: 1.5 },
+        { words: 'пару', amount: 2 },
+        { words: 'пара', amount: 2 },
+    ],
+    // Durations written in one phrase
+    durationWords: [
+        { words: 'полчаса', amount: 30, unit: 'minute' },
+        { words: 'четверть часа', amount: 15, unit: 'minute' },
+        { words: 'полдня', amount: 12, unit: 'hour' },
+        { words: 'полгода', amount: 6, unit: 'month' },
+    ],
+    // "час с половиной"
+    half: [ 'с половиной' ],
+    // "2 часа и 30 минут"
+    and: [ 'и' ],
+    // "каждый день"
+    every: [ 'каждый', 'каждую', 'каждое', 'каждые', 'по' ],
+    // "еженедельно по пятницам"
+    on: [ 'по', 'в', 'во' ],
+    // Recurrences written in one phrase
+    recurrences: [
+        { words: [ 'по будням', 'в будни', 'по рабочим дням' ], frequency: 'weekly', weekdays: [ 1, 2, 3, 4, 5 ] },
+        { words: [ 'по выходным', 'в выходные' ], frequency: 'weekly', weekdays: [ 0, 6 ] },
+        { words: [ 'ежечасно' ], frequency: 'hourly' },
+        { words: [ 'ежедневно' ], frequency: 'daily' },
+        { words: [ 'еженедельно' ], frequency: 'weekly' },
+        { words: [ 'ежемесячно' ], frequency: 'monthly' },
+        { words: [ 'ежегодно' ], frequency: 'yearly' },
+    ],
+    // Cardinal numbers, multipliers are applied to the preceding number
+    numberWords: [
+        { words: [ 'ноль', 'нуль' ], value: 0 },
+        { words: [ 'один', 'одна', 'одно', 'одну' ], value: 1 },
+        { words: [ 'два', 'две' ], value: 2 },
+        { words: [ 'три' ], value: 3 },
+        { words: [ 'четыре' ], value: 4 },
+        { words: [ 'пять' ], value: 5 },
+        { words: [ 'шесть' ], value: 6 },
+        { words: [ 'семь' ], value: 7 },
+        { words: [ 'восемь' ], value: 8 },
+        { words: [ 'девять' ], value: 9 },
+        { words: [ 'десять' ], value: 10 },
+        { words: [ 'одиннадцать' ], value: 11 },
+        { words: [ 'двенадцать' ], value: 12 },
+        { words: [ 'тринадцать' ], value: 13 },
+        { words: [ 'четырнадцать' ], value: 14 },
+        { words: [ 'пятнадцать' ], value: 15 },
+        { words: [ 'шестнадцать' ], value: 16 },
+        { words: [ 'семнадцать' ], value: 17 },
+        { words: [ 'восемнадцать' ], value: 18 },
+        { words: [ 'девятнадцать' ], value: 19 },
+        { words: [ 'двадцать' ], value: 20 },
+        { words: [ 'тридцать' ], value: 30 },
+        { words: [ 'сорок' ], value: 40 },
+        { words: [ 'пятьдесят' ], value: 50 },
+        { words: [ 'шестьдесят' ], value: 60 },
+        { words: [ 'семьдесят' ], value: 70 },
+        { words: [ 'восемьдесят' ], value: 80 },
+        { words: [ 'девяносто' ], value: 90 },
+        { words: [ 'сто' ], value: 100 },
+        { words: [ 'двести' ], value: 200 },
+        { words: [ 'триста' ], value: 300 },
+        { words: [ 'четыреста' ], value: 400 },
+        { words: [ 'пятьсот' ], value: 500 },
+        { words: [ 'шестьсот' ], value: 600 },
+        { words: [ 'семьсот' ], value: 700 },
+        { words: [ 'восемьсот' ], value: 800 },
+        { words: [ 'девятьсот' ], value: 900 },
+        { words: [ 'тысяча', 'тысячи', 'тысяч', 'тысячу', 'тыс', 'к' ], value: 1000, multiplier: true },
+        { words: [ 'миллион', 'миллиона', 'миллионов', 'млн' ], value: 1000000, multiplier: true },
+        { words: [ 'миллиард', 'миллиарда', 'миллиардов', 'млрд' ], value: 1000000000, multiplier: true },
+    ],
+    // "1,5"
+    decimalSeparators: [ ',', '.' ],
+    // "1 500"
+    groupSeparators: [ ' ', '\u00a0' ],
+    // Currencies: ISO code, symbols and names
+    currencies: [
+        { code: 'RUB', symbols: [ '₽' ], words: [ 'руб', 'рубль', 'рубля', 'рублей', 'р' ] },
+        { code: 'USD', symbols: [ '$' ], words: [ 'доллар', 'доллара', 'долларов', 'бакс', 'бакса', 'баксов' ] },
+        { code: 'EUR', symbols: [ '€' ], words: [ 'евро' ] },
+        { code: 'GBP', symbols: [ '£' ], words: [ 'фунт', 'фунта', 'фунтов' ] },
+        { code: 'UAH', symbols: [ '₴' ], words: [ 'гривна', 'гривны', 'гривен', 'грн' ] },
+        { code: 'JPY', symbols: [ '¥' ], words: [ 'иена', 'иены', 'иен' ] },
+        { code: 'CNY', symbols: [], words: [ 'юань', 'юаня', 'юаней' ] },
+    ],
+    // Words ignored by Commander.stem()
+    stopWords: [ 'пожалуйста', 'плиз', 'по', 'об', 'про', 'просто', 'ну' ],
+    // Words treated as equal by Commander.hasAll() and the like
+    synonyms: [
+        [ 'отмена', 'отменить', 'отмени', 'стоп', 'хватит', 'прекрати' ],
+        [ 'помощь', 'помоги', 'справка' ],
+        [ 'да', 'ага', 'угу', 'конечно' ],
+        [ 'начать', 'начни', 'старт' ],
+        [ 'показать', 'покажи', 'список' ],
+        [ 'удалить', 'удали', 'стереть', 'сотри' ],
+    ],
+};
@@ -0,0 +1,150 @@
+/**
+ * Serialized updates middleware
+ * @module telegram/middleware/serializer
+ */
+
+/**
+ * Process updates of the same chat (or user) one at a time. Updates of different chats are processed in parallel.
+ * <br><br>
+ * Put it before 'telegram.session' in the middleware list so that session loading is serialized too
+ */
+class Serializer {
+    /**
+     * Create the service
+     * @param {object} config                   Configuration
+     * @param {Logger} logger                   Logger service
+     */
+    constructor(config, logger) {
+        this._config = config;
+        this._logger = logger;
+        this._queues = new Map();
+    }
+
+    /**
+     * Service name is 'telegram.serializer'
+     * @type {string}
+     */
+    static get provides() {
+        return 'telegram.serializer';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config', 'logger' ];
+    }
+
+    /**
+     * Register middleware
+     * @param {Telegram} server         The server
+     * @return {Promise}
+     */
+    async register(server) {
+        let config = this._config.get(`servers.${server.name}.serializer`) || {};
+        let strategy = config.key || 'chat';
+        let maxSize = config.max_size || 0;
+        let timeout = config.timeout || 0;
+
+        let queues = new Map();
+        this._queues.set(server.name, queues);
+
+        server.bot.use((ctx, next) => {
+            let key = this.getKey(ctx, strategy);
+            if (!key)
+                return next();
+
+            let queue = queues.get(key);
+            if (!queue) {
+                queue = {
+                    size: 0,
+                    tail: Promise.resolve(),
+                };
+                queues.set(key, queue);
+            }
+
+            if (maxSize && queue.size >= maxSize) {
+                this._logger.warn(`[Telegram] ${server.name}: Queue of ${key} is full, dropping update ${ctx.update.update_id}`);
+                return Promise.resolve();
+            }
+
+            queue.size++;
+            let run = queue.tail.then(() => this._run(server, key, next, timeout));
+            queue.tail = run
+                .catch(() => {})
+                .then(() => {
+                    if (--queue.size <= 0 && queues.get(key) === queue)
+                        queues.delete(key);
+                });
+            return run;
+        });
+    }
+
+    /**
+     * Unregister middleware
+     * @param {Telegram} server         The server
+     * @return {Promise}
+     */
+    async unregister(server) {
+        this._queues.delete(server.name);
+    }
+
+    /**
+     * Get queue key of an update
+     * @param {object} ctx              Telegraf context
+     * @param {string} strategy         'chat' or 'user'
+     * @return {string|null}
+     */
+    getKey(ctx, strategy) {
+        let chat = ctx.chat ? `chat ${ctx.chat.id}` : null;
+        let user = ctx.from ? `user ${ctx.from.id}` : null;
+        switch (strategy) {
+            case 'chat':
+                return chat || user;
+            case 'user':
+                return user || chat;
+            default:
+                throw new Error(`Invalid serializer key strategy: ${strategy}`);
+        }
+    }
+
+    /**
+     * Run the rest of the middleware
+     * @param {Telegram} server         The server
+     * @param {string} key              Queue key
+     * @param {function} next           Next middleware
+     * @param {number} timeout          Max processing time before next update is started, seconds
+     * @return {Promise}
+     */
+    _run(server, key, next, timeout) {
+        let promise = next();
+        if (!timeout)
+            return promise;
+
+        let timer;
+        let expired = new Promise(resolve => {
+            timer = setTimeout(
+                () => {
+                    this._logger.warn(`[Telegram] ${server.name}: Update of ${key} timed out, starting next one`);
+                    resolve();
+                },
+                timeout * 1000
+            );
+        });
+
+        return Promise.race([ promise, expired ])
+            .then(
+                result => {
+                    clearTimeout(timer);
+                    return result;
+                },
+                error => {
+                    clearTimeout(timer);
+                    throw error;
+                }
+            );
+    }
+}
+
+module.exports = Serializer;
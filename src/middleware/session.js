@@ -19,6 +19,8 @@ class Session {
         this._config = config;
         this._logger = logger;
         this._session = session;
+        this._bridges = new Map();
+        this._revisions = new WeakMap();
     }
 
     /**
@@ -49,18 +51,32 @@ class Session {
 
         let bridge = this._app.get(config.bridge, server.name);
         await this._session.addBridge(server.name, bridge);
+        this._bridges.set(server.name, bridge);
+        server.session = bridge;
 
         server.bot.use(async (ctx, next) => {
             ctx.session = {};
             ctx.user = null;
 
-            let session;
+            let session, key, revision, original, personal;
             try {
-                session = await this._session.load(server.name, ctx.from.id.toString(), ctx.from);
-                if (!session)
-                    session = await this._session.create(server.name, null, ctx.from);
-                Object.assign(ctx.session, session.payload);
-                ctx.user = (session && session.user) || null;
+                key = bridge.getKey(ctx);
+                if (key) {
+                    session = await this._session.load(server.name, key.token, key);
+                    if (!session)
+                        session = await this._session.create(server.name, null, key);
+                }
+                if (session) {
+                    revision = this._revisions.get(session) || 0;
+                    original = JSON.parse(JSON.stringify(session.payload || {}));
+                    Object.assign(ctx.session, session.payload);
+                }
+                // the user is kept in the session only if the session belongs to the sender
+                personal = !!(ctx.from && key && key.telegramId === ctx.from.id.toString());
+                if (personal)
+                    ctx.user = (session && session.user) || null;
+                else if (ctx.from && typeof bridge.findUser === 'function')
+                    ctx.user = await bridge.findUser(ctx.from);
             } catch (error) {
                 this._logger.error(error);
             }
@@ -68,11 +84,25 @@ class Session {
             return next()
                 .then(async () => {
                     if (session) {
-                        session.payload = ctx.session;
-                        session.user = ctx.user;
+                        let current = this._revisions.get(session) || 0;
+                        if (current !== revision && typeof bridge.merge === 'function') {
+                            this._logger.warn(
+                                `[Telegram] ${server.name}: Session of ` +
+                                (key.telegramId ? `Telegram ID ${key.telegramId}` : `chat ${key.chatId}`) +
+                                ' was modified by concurrent update, merging'
+                            );
+                            session.payload = bridge.merge(original, ctx.session, session.payload || {});
+                        } else {
+                            session.payload = ctx.session;
+                        }
+                        this._revisions.set(session, current + 1);
+                        if (bridge.payloadVersion !== undefined)
+                            session.payloadVersion = bridge.payloadVersion;
+                        if (personal)
+                            session.user = ctx.user;
 
                         try {
-                            await this._session.update(server.name, session, ctx.from);
+                            await this._session.update(server.name, session, key);
                         } catch (error) {
                             this._logger.error(error);
                         }
@@ -91,7 +121,13 @@ class Session {
         if (!config)
             return;
 
+        // saves delayed by save_interval are written here
         await this._session.removeBridge(server.name);
+
+        let bridge = this._bridges.get(server.name);
+        this._bridges.delete(server.name);
+        if (bridge && server.session === bridge)
+            server.session = null;
     }
 }
 
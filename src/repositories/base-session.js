@@ -0,0 +1,129 @@
+/**
+ * Base class for bundled session repositories
+ * @module telegram/repositories/base-session
+ */
+const moment = require('moment-timezone');
+const TelegramSession = require('../services/telegram-session');
+
+/**
+ * Session repository base class
+ */
+class BaseSessionRepository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {object} config                       Configuration
+     * @param {Util} util                           Util service
+     * @param {string} server                       Server name
+     */
+    constructor(app, config, util, server) {
+        this.server = server;
+
+        this._app = app;
+        this._config = config;
+        this._util = util;
+    }
+
+    /**
+     * Service name is 'telegram.repositories.baseSession'
+     * @type {string}
+     */
+    static get provides() {
+        return 'telegram.repositories.baseSession';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'util' ];
+    }
+
+    /**
+     * Create empty session model
+     * @return {object}
+     */
+    getModel() {
+        return {
+            id: null,
+            token: null,
+            telegramId: null,
+            chatId: null,
+            userId: null,
+            version: 0,
+            payload: {},
+            payloadVersion: 0,
+            info: null,
+            createdAt: null,
+            updatedAt: null,
+        };
+    }
+
+    /**
+     * Generate new model ID
+     * @return {string}
+     */
+    generateId() {
+        return this._util.getRandomString(32);
+    }
+
+    /**
+     * Convert model to plain object
+     * @param {object} session                      Session model
+     * @return {object}
+     */
+    _serialize(session) {
+        let now = moment();
+        return {
+            id: session.id,
+            telegramId: session.telegramId || null,
+            chatId: session.chatId || null,
+            userId: session.userId || null,
+            version: session.version || 0,
+            payload: JSON.parse(JSON.stringify(session.payload || {})),
+            payloadVersion: session.payloadVersion || 0,
+            info: session.info ? JSON.parse(JSON.stringify(session.info)) : null,
+            createdAt: (session.createdAt ? moment(session.createdAt) : now).valueOf(),
+            updatedAt: (session.updatedAt ? moment(session.updatedAt) : now).valueOf(),
+        };
+    }
+
+    /**
+     * Convert plain object to model
+     * @param {object} data                         Stored data
+     * @return {object}
+     */
+    _unserialize(data) {
+        let session = this.getModel();
+        Object.assign(session, JSON.parse(JSON.stringify(data)));
+        session.token = TelegramSession.getToken(session.telegramId, session.chatId);
+        session.createdAt = moment(data.createdAt);
+        session.updatedAt = moment(data.updatedAt);
+        return session;
+    }
+
+    /**
+     * Check if stored data belongs to the key
+     * @param {object} data                         Stored data
+     * @param {string|null} telegramId              Telegram user ID
+     * @param {string|null} chatId                  Telegram chat ID
+     * @return {boolean}
+     */
+    _matches(data, telegramId, chatId) {
+        return (data.telegramId || null) === (telegramId ? telegramId.toString() : null) &&
+            (data.chatId || null) === (chatId ? chatId.toString() : null);
+    }
+
+    /**
+     * Check if stored data is expired
+     * @param {object} data                         Stored data
+     * @param {number} timeout                      Expiration timeout, seconds
+     * @return {boolean}
+     */
+    _isExpired(data, timeout) {
+        return data.updatedAt < moment().subtract(timeout, 'seconds').valueOf();
+    }
+}
+
+module.exports = BaseSessionRepository;
@@ -0,0 +1,257 @@
+/**
+ * JSON file session repository
+ * @module telegram/repositories/file-session
+ */
+const path = require('path');
+const { promisify } = require('util');
+const fs = require('fs');
+const { flock } = require('fs-ext');
+const NError = require('nerror');
+const BaseSessionRepository = require('./base-session');
+
+/**
+ * Session repository keeping sessions in a JSON file, access is synchronized by file locks
+ */
+class FileSessionRepository extends BaseSessionRepository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {object} config                       Configuration
+     * @param {Filer} filer                         Filer service
+     * @param {Util} util                           Util service
+     * @param {string} server                       Server name
+     */
+    constructor(app, config, filer, util, server) {
+        super(app, config, util, server);
+        this._filer = filer;
+        this._ready = null;
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Service name is 'telegram.repositories.fileSession'
+     * @type {string}
+     */
+    static get provides() {
+        return 'telegram.repositories.fileSession';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'filer', 'util' ];
+    }
+
+    /**
+     * Sessions file
+     * @type {string}
+     */
+    get filename() {
+        let filename = this._config.get(`servers.${this.server}.session.file`) || `${this.server}.sessions.json`;
+        if (filename[0] !== '/')
+            filename = path.join(this._config.base_path, filename);
+        return filename;
+    }
+
+    /**
+     * Find sessions by Telegram ID
+     * @param {string|null} telegramId              Telegram user ID
+     * @param {string|null} [chatId]                Telegram chat ID
+     * @return {Promise}                            Resolves to array of models
+     */
+    async findByTelegramId(telegramId, chatId = null) {
+        let sessions = await this._read();
+        return Object.keys(sessions)
+            .filter(id => this._matches(sessions[id], telegramId, chatId))
+            .map(id => this._unserialize(sessions[id]));
+    }
+
+    /**
+     * Find all sessions
+     * @return {Promise}                            Resolves to array of models
+     */
+    async findAll() {
+        let sessions = await this._read();
+        return Object.keys(sessions).map(id => this._unserialize(sessions[id]));
+    }
+
+    /**
+     * Save session
+     * @param {object} session                      Session model
+     * @return {Promise}                            Resolves to session ID
+     */
+    async save(session) {
+        if (!session.id)
+            session.id = this.generateId();
+
+        let data = this._serialize(session);
+        await this._update(sessions => {
+            sessions[data.id] = data;
+        });
+        return session.id;
+    }
+
+    /**
+     * Save session if the stored one has the version
+     * @param {object} session                      Session model
+     * @param {number} version                      Expected version of the stored session
+     * @return {Promise}                            Resolves to true if saved
+     */
+    async saveIfVersion(session, version) {
+        let saved = false;
+        await this._update(sessions => {
+            let id = session.id ||
+                Object.keys(sessions).find(id => this._matches(sessions[id], session.telegramId, session.chatId));
+            let stored = id && sessions[id];
+            if ((stored ? stored.version || 0 : 0) !== version)
+                return;
+
+            if (!session.id)
+                session.id = this.generateId();
+            sessions[session.id] = this._serialize(session);
+            saved = true;
+        });
+        return saved;
+    }
+
+    /**
+     * Delete session
+     * @param {object|string} session               Session model or ID
+     * @return {Promise}                            Resolves to number of deleted sessions
+     */
+    async delete(session) {
+        let id = (typeof session === 'object') ? session.id : session;
+        let count = 0;
+        await this._update(sessions => {
+            if (sessions[id]) {
+                delete sessions[id];
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Delete expired sessions
+     * @param {number} timeout                      Expiration timeout, seconds
+     * @return {Promise}                            Resolves to number of deleted sessions
+     */
+    async deleteExpired(timeout) {
+        let count = 0;
+        await this._update(sessions => {
+            for (let id of Object.keys(sessions)) {
+                if (this._isExpired(sessions[id], timeout)) {
+                    delete sessions[id];
+                    count++;
+                }
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Create the file if it does not exist
+     * @return {Promise}
+     */
+    async _init() {
+        if (!this._ready) {
+            this._ready = (async () => {
+                let filename = this.filename;
+                if (await this._filer.exists(filename))
+                    return;
+
+                await this._filer.createDirectory(path.dirname(filename));
+                await this._filer.createFile(filename);
+            })();
+            this._ready.catch(() => {
+                this._ready = null;
+            });
+        }
+        return this._ready;
+    }
+
+    /**
+     * Read sessions
+     * @return {Promise}                            Resolves to object of sessions by ID
+     */
+    async _read() {
+        await this._init();
+        return this._enqueue(async () => this._parse(await this._filer.lockRead(this.filename)));
+    }
+
+    /**
+     * Update sessions
+     * <br><br>
+     * Filer.lockUpdate() opens the file with 'w' truncating it before the lock is taken, so the update is done
+     * here on a descriptor opened with 'r+'
+     * @param {function} cb                         Receives object of sessions by ID and modifies it
+     * @return {Promise}
+     */
+    async _update(cb) {
+        await this._init();
+        return this._enqueue(() => this._doUpdate(cb));
+    }
+
+    /**
+     * Actual update
+     * @param {function} cb                         Receives object of sessions by ID and modifies it
+     * @return {Promise}
+     */
+    async _doUpdate(cb) {
+        let filename = this.filename;
+        let fd, locked, lastError;
+        try {
+            fd = await promisify(fs.open)(filename, 'r+');
+            await promisify(flock)(fd, 'ex');
+            locked = true;
+
+            let sessions = this._parse(await promisify(fs.readFile)(fd, 'utf8'));
+            await cb(sessions);
+
+            let buffer = Buffer.from(JSON.stringify(sessions, undefined, 4) + '\n');
+            await promisify(fs.ftruncate)(fd, 0);
+            await promisify(fs.write)(fd, buffer, 0, buffer.length, 0);
+        } catch (error) {
+            lastError = error;
+        }
+
+        let onError = error => {
+            if (!lastError)
+                lastError = error;
+        };
+        if (locked)
+            await promisify(flock)(fd, 'un').catch(onError);
+        if (fd !== undefined)
+            await promisify(fs.close)(fd).catch(onError);
+
+        if (lastError)
+            throw new NError(lastError, { filename }, 'FileSessionRepository._doUpdate()');
+    }
+
+    /**
+     * Run file operations of this process one at a time, waiting for a file lock blocks a thread of the pool
+     * and enough waiting operations would block the one holding the lock
+     * @param {function} cb                         Operation returning a Promise
+     * @return {Promise}                            Resolves to the result of the operation
+     */
+    _enqueue(cb) {
+        let result = this._queue.then(cb);
+        this._queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Parse file contents
+     * @param {string} contents                     File contents
+     * @return {object}
+     */
+    _parse(contents) {
+        if (!contents.trim().length)
+            return {};
+        return JSON.parse(contents);
+    }
+}
+
+module.exports = FileSessionRepository;
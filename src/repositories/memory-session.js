@@ -0,0 +1,155 @@
+/**
+ * In-memory session repository
+ * @module telegram/repositories/memory-session
+ */
+const BaseSessionRepository = require('./base-session');
+
+/**
+ * Session repository keeping at most max_size recently used sessions in memory
+ */
+class MemorySessionRepository extends BaseSessionRepository {
+    /**
+     * Create repository
+     * @param {App} app                             The application
+     * @param {object} config                       Configuration
+     * @param {Util} util                           Util service
+     * @param {string} server                       Server name
+     */
+    constructor(app, config, util, server) {
+        super(app, config, util, server);
+        this._sessions = new Map();
+    }
+
+    /**
+     * Service name is 'telegram.repositories.memorySession'
+     * @type {string}
+     */
+    static get provides() {
+        return 'telegram.repositories.memorySession';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'util' ];
+    }
+
+    /**
+     * Max number of sessions kept
+     * @type {number}
+     */
+    get maxSize() {
+        return this._config.get(`servers.${this.server}.session.max_size`) || 1000;
+    }
+
+    /**
+     * Find sessions by Telegram ID
+     * @param {string|null} telegramId              Telegram user ID
+     * @param {string|null} [chatId]                Telegram chat ID
+     * @return {Promise}                            Resolves to array of models
+     */
+    async findByTelegramId(telegramId, chatId = null) {
+        let result = [];
+        for (let data of this._sessions.values()) {
+            if (this._matches(data, telegramId, chatId))
+                result.push(data);
+        }
+        for (let data of result)
+            this._touch(data);
+        return result.map(data => this._unserialize(data));
+    }
+
+    /**
+     * Find all sessions
+     * @return {Promise}                            Resolves to array of models
+     */
+    async findAll() {
+        return Array.from(this._sessions.values()).map(data => this._unserialize(data));
+    }
+
+    /**
+     * Save session
+     * @param {object} session                      Session model
+     * @return {Promise}                            Resolves to session ID
+     */
+    async save(session) {
+        return this._store(session);
+    }
+
+    /**
+     * Save session if the stored one has the version
+     * @param {object} session                      Session model
+     * @param {number} version                      Expected version of the stored session
+     * @return {Promise}                            Resolves to true if saved
+     */
+    async saveIfVersion(session, version) {
+        let stored = session.id
+            ? this._sessions.get(session.id)
+            : Array.from(this._sessions.values()).find(data => this._matches(data, session.telegramId, session.chatId));
+        if ((stored ? stored.version || 0 : 0) !== version)
+            return false;
+
+        this._store(session);
+        return true;
+    }
+
+    /**
+     * Delete session
+     * @param {object|string} session               Session model or ID
+     * @return {Promise}                            Resolves to number of deleted sessions
+     */
+    async delete(session) {
+        let id = (typeof session === 'object') ? session.id : session;
+        return this._sessions.delete(id) ? 1 : 0;
+    }
+
+    /**
+     * Delete expired sessions
+     * @param {number} timeout                      Expiration timeout, seconds
+     * @return {Promise}                            Resolves to number of deleted sessions
+     */
+    async deleteExpired(timeout) {
+        let count = 0;
+        for (let [ id, data ] of this._sessions) {
+            if (this._isExpired(data, timeout)) {
+                this._sessions.delete(id);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Store session
+     * @param {object} session                      Session model
+     * @return {string}                             Session ID
+     */
+    _store(session) {
+        if (!session.id)
+            session.id = this.generateId();
+
+        this._sessions.delete(session.id);
+        this._sessions.set(session.id, this._serialize(session));
+
+        let overflow = this._sessions.size - this.maxSize;
+        if (overflow > 0) {
+            for (let id of Array.from(this._sessions.keys()).slice(0, overflow))
+                this._sessions.delete(id);
+        }
+
+        return session.id;
+    }
+
+    /**
+     * Mark session as recently used
+     * @param {object} data                         Stored data
+     */
+    _touch(data) {
+        this._sessions.delete(data.id);
+        this._sessions.set(data.id, data);
+    }
+}
+
+module.exports = MemorySessionRepository;
@@ -20,6 +20,7 @@ class Telegram {
      */
     constructor(app, config, logger, filer, util) {
         this.name = null;
+        this.session = null;
 
         this._app = app;
         this._config = config;
@@ -65,6 +66,14 @@ class Telegram {
         this.bot.catch(this.onError.bind(this));
         this.listening = false;
 
+        this.queue = this._app.get('telegram.services.sendQueue');
+        this.queue.init(name);
+        this.queue.install(this.bot.telegram);
+        this.bot.use((ctx, next) => {
+            this.queue.install(ctx.telegram);
+            return next();
+        });
+
         let middlewareConfig = this._config.get(`servers.${name}.middleware`);
         if (!Array.isArray(middlewareConfig))
             return;
@@ -111,6 +120,23 @@ class Telegram {
 
         this._logger.debug('telegram', `${this.name}: Starting the bot`);
 
+        let me = await this.bot.telegram.getMe();
+        this.bot.options.username = me.username;
+
+        if (this.commander) {
+            // commands are added by the application after the middleware is registered
+            let directory = this._config.get(`servers.${name}.intents.directory`);
+            if (directory && directory[0] !== '/')
+                directory = path.join(this._config.base_path, directory);
+            let threshold = this._config.get(`servers.${name}.intents.threshold`);
+            if (typeof threshold === 'number')
+                this.commander.intentThreshold = threshold;
+            await this.commander.initIntents(directory);
+
+            if (this._config.get(`servers.${name}.menu.enable`))
+                await this.updateMenu();
+        }
+
         if (this._config.get(`servers.${name}.webhook.enable`)) {
             let key = this._config.get(`servers.${name}.webhook.key`);
             if (key && key[0] !== '/')
@@ -179,6 +205,9 @@ class Telegram {
             this.bot = null;
             this.listening = false;
         }
+        if (this.queue)
+            await this.queue.stop();
+
         let middlewareConfig = this._config.get(`servers.${name}.middleware`);
         if (!Array.isArray(middlewareConfig) || !this._app.has('telegram.middleware'))
             return;
@@ -206,6 +235,37 @@ class Telegram {
         );
     }
 
+    /**
+     * Set Telegram client command menu for every configured locale and scope
+     * @return {Promise}
+     */
+    async updateMenu() {
+        let locales = this._config.get(`servers.${this.name}.menu.locales`) || [];
+        let scopes = {
+            private: 'all_private_chats',
+            group: 'all_group_chats',
+            admin: 'all_chat_administrators',
+        };
+
+        this._logger.debug('telegram', `${this.name}: Updating command menu`);
+        for (let locale of [ null ].concat(locales)) {
+            for (let scope of Object.keys(scopes)) {
+                let params = {
+                    commands: this.commander.getMenu(locale || this.commander.defaultLocale, scope),
+                    scope: { type: scopes[scope] },
+                };
+                if (locale)
+                    params.language_code = locale;
+
+                try {
+                    await this.bot.telegram.callApi('setMyCommands', params);
+                } catch (error) {
+                    this._logger.error(new NError(error, `Telegram.updateMenu(): ${locale || 'default'}, ${scope}`));
+                }
+            }
+        }
+    }
+
     /**
      * Handle bot errors
      * @param {Error} error                     Error object
@@ -2,6 +2,8 @@
  * Telegram command handler
  * @module telegram/services/commander
  */
+const path = require('path');
+const crypto = require('crypto');
 const moment = require('moment-timezone');
 const natural = require('natural');
 const NError = require('nerror');
@@ -16,18 +18,50 @@ class Commander {
      * @param {Logger} logger               Logger service
      * @param {Util} util                   Util service
      * @param {I18n} i18n                   I18n service
+     * @param {Filer} filer                 Filer service
      */
-    constructor(app, logger, util, i18n) {
+    constructor(app, logger, util, i18n, filer) {
         this._app = app;
         this._logger = logger;
         this._util = util;
         this._i18n = i18n;
+        this._filer = filer;
 
         this.commands = new Map();
         this.scenes = new Map();
         this.callbacks = new Map();
+        this.callbackTtl = 3600;
+        this.sweepInterval = 60;
+        this.adminCacheTtl = 60;
+
+        this.locales = new Map();
+        this.stemmers = new Map();
+        this.intents = new Map();
+        this.intentClassifier = 'bayes';
+        this.intentThreshold = 0.5;
+        this.fuzzyMetric = 'levenshtein';
+        this.fuzzyThreshold = 0.85;
+        this.preferFuture = true;
+        this.dispatch = 'first';
+        this.scoreThreshold = 0.5;
 
         this._priorities = [];
+        this._slash = new Map();
+        this._anonymous = new Map();
+        this._sweepTimer = null;
+        this._admins = new Map();
+        this._phrases = new Map();
+        this._dictionaries = new Map();
+
+        for (let [ locale, name ] of Object.entries(this.constructor.stemmerNames)) {
+            let Stemmer = natural[name];
+            let stemmer = (typeof Stemmer === 'function') ? new Stemmer() : Stemmer;
+            if (stemmer && typeof stemmer.stem === 'function' && typeof stemmer.tokenizeAndStem === 'function')
+                this.addStemmer(locale, stemmer);
+        }
+
+        this.addLocale('en', require('../locales/en'));
+        this.addLocale('ru', require('../locales/ru'));
     }
 
     /**
@@ -43,7 +77,38 @@ class Commander {
      * @type {string[]}
      */
     static get requires() {
-        return [ 'app', 'logger', 'util', 'i18n' ];
+        return [ 'app', 'logger', 'util', 'i18n', 'filer' ];
+    }
+
+    /**
+     * Stemmers of natural by locale, the ones missing in the installed version are skipped
+     * @type {object}
+     */
+    static get stemmerNames() {
+        return {
+            en: 'PorterStemmer',
+            es: 'PorterStemmerEs',
+            fa: 'PorterStemmerFa',
+            fr: 'PorterStemmerFr',
+            id: 'StemmerId',
+            it: 'PorterStemmerIt',
+            ja: 'StemmerJa',
+            no: 'PorterStemmerNo',
+            nb: 'PorterStemmerNo',
+            nn: 'PorterStemmerNo',
+            pl: 'StemmerPl',
+            pt: 'PorterStemmerPt',
+            ru: 'PorterStemmerRu',
+            sv: 'PorterStemmerSv',
+        };
+    }
+
+    /**
+     * Default locale
+     * @type {string}
+     */
+    get defaultLocale() {
+        return this._i18n.defaultLocale;
     }
 
     /**
@@ -67,6 +132,10 @@ class Commander {
     addCommand(command) {
         this.commands.set(command.name, command);
 
+        let names = [].concat(command.slash || [], command.aliases || []);
+        for (let name of names)
+            this._slash.set(name.toLowerCase(), command.name);
+
         for (let item of this._priorities) {
             if (item.name === command.name)
                 return;
@@ -79,6 +148,16 @@ class Commander {
         this._priorities.sort((a, b) => a.priority - b.priority);
     }
 
+    /**
+     * Find command by slash name or alias
+     * @param {string} name                         Name without leading slash
+     * @return {object|undefined}
+     */
+    getSlashCommand(name) {
+        let found = this._slash.get(name.toLowerCase());
+        return found && this.getCommand(found);
+    }
+
     /**
      * Get command
      * @param {string} name
@@ -106,36 +185,180 @@ class Commander {
     }
 
     /**
-     * Activate callback
+     * Register named callback
+     * <br><br>
+     * Handler is called as handler(commander, ctx, scene, ...args) and should resolve to true if input was consumed
+     * @param {string} name
+     * @param {function} handler
+     */
+    addCallback(name, handler) {
+        this.callbacks.set(name, handler);
+    }
+
+    /**
+     * Activate callback for the next input
+     * <br><br>
+     * Named callbacks are stored in the session along with their arguments and survive restarts,
+     * functions are kept in memory only
      * @param {object} ctx
-     * @param {function} cb
+     * @param {string|function} callback           Registered callback name or function
+     * @param {Array} [args]                        Arguments of named callback, must be serializable
+     * @param {number} [ttl]                        Time to live in seconds, defaults to callbackTtl
+     */
+    setCallback(ctx, callback, args = [], ttl) {
+        let expires = Date.now() + (ttl || this.callbackTtl) * 1000;
+        if (typeof callback === 'function') {
+            let id = this._util.getRandomString(32);
+            this._anonymous.set(id, { handler: callback, expires: expires });
+            this._startSweep();
+            ctx.session.callback = { id: id, expires: expires };
+        } else {
+            if (!this.callbacks.has(callback))
+                throw new Error(`Callback is not registered: ${callback}`);
+            ctx.session.callback = { name: callback, args: args, expires: expires };
+        }
+    }
+
+    /**
+     * Remove active callback
+     * @param {object} ctx
+     * @return {object|null}                        Returns { handler, args } or null
+     */
+    _takeCallback(ctx) {
+        let callback = ctx.session.callback;
+        delete ctx.session.callback;
+        if (!callback)
+            return null;
+
+        if (typeof callback === 'string')
+            callback = { id: callback };
+
+        let handler, expires;
+        if (callback.name) {
+            handler = this.callbacks.get(callback.name);
+            expires = callback.expires;
+        } else if (callback.id) {
+            let item = this._anonymous.get(callback.id);
+            this._anonymous.delete(callback.id);
+            if (item) {
+                handler = item.handler;
+                expires = item.expires;
+            }
+        }
+
+        if (!handler || (expires && expires < Date.now()))
+            return null;
+
+        return { handler: handler, args: callback.args || [] };
+    }
+
+    /**
+     * Start removing expired anonymous callbacks
+     */
+    _startSweep() {
+        if (this._sweepTimer)
+            return;
+
+        this._sweepTimer = setInterval(this._sweep.bind(this), this.sweepInterval * 1000);
+        if (this._sweepTimer.unref)
+            this._sweepTimer.unref();
+    }
+
+    /**
+     * Remove expired anonymous callbacks
      */
-    setCallback(ctx, cb) {
-        let id = this._util.getRandomString(32);
-        ctx.session.callback = id;
-        this.callbacks.set(id, cb);
+    _sweep() {
+        let now = Date.now();
+        for (let [ id, item ] of this._anonymous) {
+            if (item.expires < now)
+                this._anonymous.delete(id);
+        }
+
+        if (!this._anonymous.size) {
+            clearInterval(this._sweepTimer);
+            this._sweepTimer = null;
+        }
     }
 
     /**
      * Process input looking for commands
+     * <br><br>
+     * Access to a command is refused when the input is addressed to it: slash command, the winner of the best
+     * match dispatch or the intent of the command. Otherwise process() of the commands without access is not
+     * called, as it both matches and runs the command.
      * @param {object} ctx
      * @param {object} scene
      * @return {Promise} Resolves to true if command found
      */
     async process(ctx, scene) {
         try {
-            if (ctx.session.callback) {
-                let callback = this.callbacks.get(ctx.session.callback);
-                delete ctx.session.callback;
-                if (callback) {
-                    this.callbacks.delete(ctx.session.callback);
-                    return await callback(this, ctx, scene);
+            let callback = this._takeCallback(ctx);
+            if (callback)
+                return await callback.handler(this, ctx, scene, ...callback.args);
+
+            ctx.command = this.parseCommand(ctx);
+            if (ctx.command === false) {
+                ctx.command = null;
+                return false;
+            }
+            if (ctx.command) {
+                let command = this.getSlashCommand(ctx.command.name);
+                if (!command && ctx.command.name === 'help') {
+                    await ctx.reply(await this.getHelp(ctx));
+                    return true;
+                }
+                if (command && typeof command.run === 'function') {
+                    let denied = await this.checkAccess(ctx, command);
+                    if (denied) {
+                        await this._deny(ctx, command, denied);
+                        return true;
+                    }
+
+                    let args = ctx.command.args;
+                    if (Array.isArray(command.params)) {
+                        let result = await this.parseParams(ctx, command.params, ctx.command.args);
+                        if (result.error) {
+                            await ctx.reply(this.getUsage(ctx, command, result.error));
+                            return true;
+                        }
+                        args = ctx.command.params = result.params;
+                    }
+                    if (await command.run(this, ctx, scene, args))
+                        return true;
                 }
             }
 
+            let message = ctx.message || ctx.editedMessage;
+            ctx.intent = (message && message.text) ? this.classify(this._getLocale(ctx), message.text) : null;
+
+            let scored = new Set();
+            switch (this.dispatch) {
+                case 'first':
+                    break;
+                case 'best':
+                    if (await this._processBest(ctx, scene, scored))
+                        return true;
+                    break;
+                default:
+                    throw new Error(`Invalid dispatch mode: ${this.dispatch}`);
+            }
+
             for (let item of this._priorities) {
                 let command = this.getCommand(item.name);
-                if (typeof command.process === 'function' && await command.process(this, ctx, scene))
+                if (scored.has(command.name) || typeof command.process !== 'function')
+                    continue;
+
+                let denied = await this.checkAccess(ctx, command);
+                if (denied) {
+                    if (ctx.intent && ctx.intent.name === command.name) {
+                        await this._deny(ctx, command, denied);
+                        return true;
+                    }
+                    this._logger.debug('commander', `Command ${command.name} skipped, access denied (${denied})`);
+                    continue;
+                }
+
+                if (await command.process(this, ctx, scene, ctx.intent))
                     return true;
             }
             return false;
@@ -146,196 +369,1988 @@ class Commander {
     }
 
     /**
-     * Handle menu action
+     * Best match dispatch: score every command and process the ones above scoreThreshold starting with
+     * the highest score, equal scores are ordered by priority
+     * <br><br>
+     * Score is returned by command.score(commander, ctx, scene, intent) or is the confidence of the intent
+     * of the command. Commands without score (null) are left for the first match dispatch, access is checked
+     * only for the commands above the threshold and is refused to the best one.
      * @param {object} ctx
      * @param {object} scene
-     * @return {Promise}
+     * @param {Set} scored                          Names of the scored commands are added here
+     * @return {Promise} Resolves to true if command found
      */
-    async action(ctx, scene) {
-        try {
-            for (let item of this._priorities) {
-                let command = this.getCommand(item.name);
-                if (command.name === ctx.match[1] && typeof command.action === 'function')
-                    return await command.action(this, ctx, scene);
+    async _processBest(ctx, scene, scored) {
+        let candidates = [];
+        for (let item of this._priorities) {
+            let command = this.getCommand(item.name);
+            if (typeof command.process !== 'function')
+                continue;
+
+            let score;
+            if (typeof command.score === 'function')
+                score = await command.score(this, ctx, scene, ctx.intent);
+            else
+                score = (ctx.intent && ctx.intent.name === command.name) ? ctx.intent.confidence : null;
+            if (typeof score !== 'number')
+                continue;
+
+            scored.add(command.name);
+            candidates.push({ command, score, priority: item.priority });
+        }
+
+        candidates.sort((a, b) => (b.score - a.score) || (a.priority - b.priority));
+        let scores = candidates.map(item => `${item.command.name}: ${item.score.toFixed(2)}`).join(', ');
+
+        for (let [ index, candidate ] of candidates.entries()) {
+            if (candidate.score < this.scoreThreshold)
+                break;
+
+            let denied = await this.checkAccess(ctx, candidate.command);
+            if (denied) {
+                await this._deny(ctx, candidate.command, denied);
+                return true;
             }
-        } catch (error) {
-            this._logger.error(new NError(error, { ctx }, 'Commander.action()'));
+
+            if (!await candidate.command.process(this, ctx, scene, ctx.intent))
+                continue;
+
+            let tied = candidates.filter((item, other) => other > index && item.score === candidate.score);
+            this._logger.debug(
+                'commander',
+                `Command ${candidate.command.name} won with score ${candidate.score.toFixed(2)}` +
+                (tied.length ? ` (priority ${candidate.priority} over ${tied.map(item => item.command.name).join(', ')})` : '') +
+                (index ? ` after ${index} command(s) declined` : '') +
+                ` [${scores}]`
+            );
+            return true;
         }
+
+        if (candidates.length)
+            this._logger.debug('commander', `No command won with threshold ${this.scoreThreshold} [${scores}]`);
+        return false;
     }
 
     /**
-     * Check if input matches syntax
+     * Parse slash command of the message
+     * <br><br>
+     * Commands addressed to other bots (/command@OtherBot) are ignored
+     * @param {object} ctx
+     * @return {object|null|boolean}                Returns { name, args, text }, null if there is no command
+     *                                              or false if the command is addressed to another bot
+     */
+    parseCommand(ctx) {
+        let message = ctx.message || ctx.editedMessage;
+        if (!message || !message.text || !Array.isArray(message.entities))
+            return null;
+
+        let entity = message.entities.find(item => item.type === 'bot_command' && item.offset === 0);
+        if (!entity)
+            return null;
+
+        let [ name, username ] = message.text.substr(1, entity.length - 1).split('@');
+        if (username && ctx.me && username.toLowerCase() !== ctx.me.toLowerCase())
+            return false;
+
+        let rest = message.text.substr(entity.length);
+        let start = entity.length + /^\s*/.exec(rest)[0].length;
+        let text = rest.trim();
+        let mentions = message.entities
+            .filter(item => item.type === 'text_mention' && item.offset >= start)
+            .map(item => ({ offset: item.offset - start, length: item.length }));
+        return {
+            name: name.toLowerCase(),
+            args: this.splitArgs(text, mentions),
+            text: text,
+        };
+    }
+
+    /**
+     * Split command arguments by whitespace, quoted arguments may contain whitespace. Quotes open
+     * an argument only at its start, so apostrophes inside words are kept
      * @param {string} input
-     * @param {object} syntax
-     * @return {*}
+     * @param {object[]} [spans]                    Array of { offset, length } to keep as single arguments
+     *                                              (text mentions of users with spaces in the name)
+     * @return {string[]}
      */
-    match(input, syntax) {
-        input = input.toLowerCase();
-        let results = {};
-        for (let variant of Object.keys(syntax)) {
-            results[variant] = {};
-            for (let re of Object.keys(syntax[variant])) {
-                let match = syntax[variant][re].exec(input);
-                if (!match) {
-                    results[variant] = false;
-                    break;
-                }
-                results[variant][re] = match;
+    splitArgs(input, spans) {
+        let args = [];
+        let current = null;
+        let quote = null;
+        for (let i = 0; i < input.length; i++) {
+            let char = input[i];
+            let span = (current === null && !quote) ? (spans || []).find(item => item.offset === i) : null;
+            if (span) {
+                args.push(input.substr(span.offset, span.length));
+                i += span.length - 1;
+            } else if (char === '\\' && i + 1 < input.length && (quote || /["'\\]/.test(input[i + 1]))) {
+                current = (current || '') + input[++i];
+            } else if (quote) {
+                if (char === quote)
+                    quote = null;
+                else
+                    current += char;
+            } else if (current === null && (char === '"' || char === "'" || char === '«' || char === '“')) {
+                quote = { '«': '»', '“': '”' }[char] || char;
+                current = current || '';
+            } else if (/\s/.test(char)) {
+                if (current !== null)
+                    args.push(current);
+                current = null;
+            } else {
+                current = (current || '') + char;
             }
         }
-        for (let variant of Object.keys(results)) {
-            if (results[variant])
-                return results;
+        if (current !== null)
+            args.push(current);
+        return args;
+    }
+
+    /**
+     * Train intent classifiers on example phrases of the commands (command.examples object of arrays by locale),
+     * trained models are cached in the directory and reused while examples stay the same. Called by Telegram.start(),
+     * commands added later require another call
+     * @param {string} [directory]                  Absolute path of the directory for the models, not saved if omitted
+     * @return {Promise}
+     */
+    async initIntents(directory) {
+        let examples = new Map();
+        for (let command of this.commands.values()) {
+            if (!command.examples)
+                continue;
+
+            let byLocale = Array.isArray(command.examples) ? { [this.defaultLocale]: command.examples } : command.examples;
+            for (let locale of Object.keys(byLocale)) {
+                if (!examples.has(locale))
+                    examples.set(locale, []);
+                for (let phrase of byLocale[locale])
+                    examples.get(locale).push([ phrase, command.name ]);
+            }
+        }
+
+        this.intents.clear();
+        for (let [ locale, documents ] of examples) {
+            let checksum = crypto.createHash('md5')
+                .update(JSON.stringify([ this.intentClassifier, documents ]))
+                .digest('hex');
+            let filename = directory && path.join(directory, `intents.${locale}.json`);
+
+            let classifier = filename && await this._loadIntents(locale, filename, checksum);
+            if (!classifier) {
+                this._logger.debug('commander', `Training intents of ${locale}`);
+                classifier = this._createClassifier(locale);
+                for (let [ phrase, name ] of documents)
+                    classifier.addDocument(phrase, name);
+                classifier.train();
+
+                if (filename) {
+                    await this._filer.createDirectory(directory);
+                    await this._filer.lockWrite(filename, JSON.stringify({ checksum: checksum, classifier: classifier }));
+                }
+            }
+            this.intents.set(locale, classifier);
         }
-        return false;
     }
 
     /**
-     * Check if input contains everything of search
+     * Find the most probable intent
+     * <br><br>
+     * Probabilities are relative to the known intents only, so confidence is the probability of the best one
+     * multiplied by the share of the input words seen in the examples, and input of unknown words has no intent
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {object|null}                        Returns { name, confidence } or null if below the threshold
+     */
+    classify(locale, input) {
+        locale = this.resolveLocale(locale);
+        let classifier = this.intents.get(locale);
+        if (!classifier)
+            return null;
+
+        let tokens = this.stem(locale, input);
+        let known = tokens.filter(token => !!classifier.features[token]);
+        if (!known.length)
+            return null;
+
+        let classifications = classifier.getClassifications(input.toLowerCase());
+        let total = classifications.reduce((prev, cur) => prev + cur.value, 0);
+        if (!classifications.length || !total)
+            return null;
+
+        let [ best ] = classifications;
+        let confidence = (best.value / total) * (known.length / tokens.length);
+        if (confidence < this.intentThreshold)
+            return null;
+
+        return {
+            name: best.label,
+            confidence: confidence,
+        };
+    }
+
+    /**
+     * Create untrained classifier
      * @param {string} locale
-     * @param {string|string[]} input
-     * @param {string|string[]} search
-     * @return {boolean}
+     * @return {object}
      */
-    hasAll(locale, input, search) {
-        let inputTokens = Array.isArray(input) ? input : this.stem(locale, input);
-        let searchTokens = Array.isArray(search) ? search : this.stem(locale, search);
-        for (let item of searchTokens) {
-            if (!inputTokens.includes(item))
-                return false;
+    _createClassifier(locale) {
+        let stemmer = { tokenizeAndStem: input => this.stem(locale, input) };
+        switch (this.intentClassifier) {
+            case 'bayes':
+                return new natural.BayesClassifier(stemmer);
+            case 'logistic':
+                return new natural.LogisticRegressionClassifier(stemmer);
+            default:
+                throw new Error(`Invalid intent classifier: ${this.intentClassifier}`);
         }
-        return true;
     }
 
     /**
-     * Check if input contains anything of search
+     * Load saved classifier
      * @param {string} locale
-     * @param {string|string[]} input
-     * @param {string|string[]} search
-     * @return {boolean}
+     * @param {string} filename
+     * @param {string} checksum
+     * @return {Promise}                            Resolves to classifier or null if not found or outdated
      */
-    hasAny(locale, input, search) {
-        let inputTokens = Array.isArray(input) ? input : this.stem(locale, input);
-        let searchTokens = Array.isArray(search) ? search : this.stem(locale, search);
-        for (let item of searchTokens) {
-            if (inputTokens.includes(item))
-                return true;
+    async _loadIntents(locale, filename, checksum) {
+        try {
+            if (!await this._filer.exists(filename))
+                return null;
+
+            let saved = JSON.parse(await this._filer.lockRead(filename));
+            if (saved.checksum !== checksum)
+                return null;
+
+            let stemmer = { tokenizeAndStem: input => this.stem(locale, input) };
+            let Classifier = (this.intentClassifier === 'logistic') ? natural.LogisticRegressionClassifier : natural.BayesClassifier;
+            return Classifier.restore(saved.classifier, stemmer);
+        } catch (error) {
+            this._logger.error(new NError(error, `Commander._loadIntents(): ${filename}`));
+            return null;
         }
-        return false;
     }
 
     /**
-     * Extract date
-     * @param {string} locale
-     * @param {string} input
-     * @return {Promise}
+     * Check command access requirements
+     * <br><br>
+     * Command may declare access object: { chats, admin, roles, check }, where chats is a chat type or an array of them
+     * ('private', 'group', 'supergroup', 'channel'), admin requires the user to be an administrator of the chat,
+     * roles requires ctx.user to have one of the roles (ctx.user.roles array or ctx.user.role string)
+     * and check is a function(commander, ctx) resolving to true if access is granted
+     * @param {object} ctx
+     * @param {object} command
+     * @return {Promise}                            Resolves to reason of denial or null if access is granted
      */
-    async extractDate(locale, input) {
-        input = input.toLowerCase();
-        let result;
+    async checkAccess(ctx, command) {
+        let access = command.access;
+        if (!access)
+            return null;
+
+        if (access.chats) {
+            let chats = [].concat(access.chats);
+            if (!ctx.chat || !chats.includes(ctx.chat.type))
+                return 'chat';
+        }
+
+        if (access.roles) {
+            let roles = [].concat(access.roles);
+            let userRoles = [];
+            if (ctx.user)
+                userRoles = Array.isArray(ctx.user.roles) ? ctx.user.roles : [].concat(ctx.user.role || []);
+            if (!roles.some(role => userRoles.includes(role)))
+                return 'role';
+        }
+
+        if (access.admin && !await this._isAdmin(ctx))
+            return 'admin';
+
+        if (typeof access.check === 'function' && !await access.check(this, ctx))
+            return 'check';
+
+        return null;
+    }
+
+    /**
+     * Check if the sender is an administrator of the chat, the answer is cached for adminCacheTtl seconds
+     * @param {object} ctx
+     * @return {Promise}                            Resolves to true if admin
+     */
+    async _isAdmin(ctx) {
+        if (!ctx.chat || !ctx.from || ctx.chat.type === 'private')
+            return false;
+
+        let now = Date.now();
+        let key = `${ctx.chat.id}:${ctx.from.id}`;
+        let cached = this._admins.get(key);
+        if (cached && cached.expires > now)
+            return cached.admin;
+
+        let member;
         try {
-            let dateSyntax, sunday, monday, tuesday, wednesday, thursday, friday, saturday, yesterday, tomorrow, weekEnd;
-            if (locale === 'ru') {
-                dateSyntax = {
-                    iso: {
-                        main: /(\d\d\d\d)-(\d\d)-(\d\d)/
-                    },
-                    long_locale_1: {
-                        main: /(\d\d)\.(\d\d)\.(\d\d\d\d)/
-                    },
-                    long_locale_2: {
-                        main: /(\d\d)\/(\d\d)\/(\d\d\d\d)/
-                    },
-                    short_locale_1: {
-                        main: /(\d\d)\.(\d\d)/
-                    },
-                    short_locale_2: {
-                        main: /(\d\d)\/(\d\d)/
-                    },
-                };
-                sunday = 'воскресенье';
-                monday = 'понедельник';
-                tuesday = 'вторник';
-                wednesday = 'среда';
-                thursday = 'четверг';
-                friday = 'пятница';
-                saturday = 'суббота';
-                yesterday = 'вчера';
-                tomorrow = 'завтра';
-                weekEnd = 'конец недели';
-            }
-
-            let now = moment();
-            let match;
-            if (dateSyntax)
-                match = this.match(input, dateSyntax);
-            if (match) {
-                let year, month, day;
-                if (match.iso) {
-                    year = parseInt(match.iso.main[1]);
-                    month = parseInt(match.iso.main[2]);
-                    day = parseInt(match.iso.main[3]);
-                } else if (match.long_locale_1) {
-                    year = parseInt(match.long_locale_1.main[3]);
-                    month = parseInt(match.long_locale_1.main[2]);
-                    day = parseInt(match.long_locale_1.main[1]);
-                } else if (match.long_locale_2) {
-                    year = parseInt(match.long_locale_2.main[3]);
-                    month = parseInt(match.long_locale_2.main[2]);
-                    day = parseInt(match.long_locale_2.main[1]);
-                } else if (match.short_locale_1) {
-                    year = now.year();
-                    month = parseInt(match.short_locale_1.main[2]);
-                    day = parseInt(match.short_locale_1.main[1]);
-                } else if (match.short_locale_2) {
-                    year = now.year();
-                    month = parseInt(match.short_locale_2.main[2]);
-                    day = parseInt(match.short_locale_2.main[1]);
-                }
-                if (year && month && day) {
-                    if (year < 1000)
-                        year += 2000;
-                    result = moment(`${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')} 00:00:00`);
-                }
+            member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+        } catch (error) {
+            this._logger.error(new NError(error, `Commander._isAdmin(): ${ctx.chat.id}, ${ctx.from.id}`));
+            return false;
+        }
+        let admin = !!member && [ 'creator', 'administrator' ].includes(member.status);
+
+        // entries share the same TTL, so the expired ones are always at the beginning
+        for (let [ name, entry ] of this._admins) {
+            if (entry.expires > now)
+                break;
+            this._admins.delete(name);
+        }
+        this._admins.delete(key);
+        this._admins.set(key, { admin, expires: now + this.adminCacheTtl * 1000 });
+
+        return admin;
+    }
+
+    /**
+     * Refuse to run command
+     * @param {object} ctx
+     * @param {object} command
+     * @param {string} reason
+     * @return {Promise}
+     */
+    async _deny(ctx, command, reason) {
+        this._logger.info(
+            `[Telegram] Access to ${command.name} denied (${reason}) for ` +
+            `${ctx.from ? ctx.from.id : 'unknown user'} in ${ctx.chat ? ctx.chat.id : 'unknown chat'}`
+        );
+
+        let message = this._translate(ctx, 'commander_access_denied', 'Access denied');
+        if (ctx.callbackQuery)
+            await ctx.answerCallbackQuery(message);
+        else if (ctx.chat)
+            await ctx.reply(message);
+    }
+
+    /**
+     * Parse and validate command arguments
+     * <br><br>
+     * Schema is an array of { name, type, required, default, values, label } objects, where type is one of
+     * 'integer', 'number', 'enum' (one of values), 'date', 'user' (mention) or 'text' (the rest of the input)
+     * @param {object} ctx
+     * @param {object[]} schema
+     * @param {string[]} args
+     * @return {Promise}                            Resolves to { params } or { error: { param, reason } }
+     */
+    async parseParams(ctx, schema, args) {
+        let params = {};
+        let index = 0;
+        for (let param of schema) {
+            let value;
+            if (param.type === 'text') {
+                value = args.slice(index).join(' ');
+                index = args.length;
             } else {
-                if (sunday && this.hasAll(locale, input, sunday))
-                    result = moment().day('Sunday');
-                else if (monday && this.hasAll(locale, input, monday))
-                    result = moment().day('Monday');
-                else if (tuesday && this.hasAll(locale, input, tuesday))
-                    result = moment().day('Tuesday');
-                else if (wednesday && this.hasAll(locale, input, wednesday))
-                    result = moment().day('Wednesday');
-                else if (thursday && this.hasAll(locale, input, thursday))
-                    result = moment().day('Thursday');
-                else if ((friday && this.hasAll(locale, input, friday)) || (weekEnd && this.hasAll(locale, input, weekEnd)))
-                    result = moment().day('Friday');
-                else if (saturday && this.hasAll(locale, input, saturday))
-                    result = moment().day('Saturday');
-                else if (yesterday && this.hasAll(locale, input, yesterday))
-                    result = now.subtract(1, 'days');
-                else if (tomorrow && this.hasAll(locale, input, tomorrow))
-                    result = now.add(1, 'days');
+                value = args[index++];
             }
-        } catch (error) {
-            return null;
+
+            if (value === undefined || value === '') {
+                if (param.required)
+                    return { error: { param: param, reason: 'missing' } };
+                params[param.name] = (param.default === undefined) ? null : param.default;
+                continue;
+            }
+
+            let parsed = await this._parseParam(ctx, param, value);
+            if (parsed === null)
+                return { error: { param: param, reason: 'invalid' } };
+            params[param.name] = parsed;
         }
-        return (result && moment.isMoment(result)) ? result : null;
+
+        if (index < args.length)
+            return { error: { param: null, reason: 'extra' } };
+
+        return { params: params };
     }
 
     /**
-     * Tokenize and stem
+     * Generate usage message of a command
+     * @param {object} ctx
+     * @param {object} command
+     * @param {object} [error]                      Error as returned by parseParams()
+     * @return {string}
+     */
+    getUsage(ctx, command, error) {
+        let lines = [];
+        if (error) {
+            if (error.reason === 'extra') {
+                lines.push(this._translate(ctx, 'commander_extra_arguments', 'Too many arguments'));
+            } else {
+                let label = this._getParamLabel(ctx, error.param);
+                if (error.reason === 'missing')
+                    lines.push(`${this._translate(ctx, 'commander_missing_argument', 'Missing argument')}: ${label}`);
+                else
+                    lines.push(`${this._translate(ctx, 'commander_invalid_argument', 'Invalid argument')}: ${label}`);
+            }
+        }
+
+        let usage = this.getSignature(ctx, command);
+        lines.push(`${this._translate(ctx, 'commander_usage', 'Usage')}: ${usage}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Command syntax line, localized command.usage is used if provided
+     * @param {object} ctx
+     * @param {object} command
+     * @return {string}
+     */
+    getSignature(ctx, command) {
+        let signature = `/${this._getSlashName(command)}`;
+        if (command.usage)
+            return `${signature} ${this._localize(command.usage, this._getLocale(ctx))}`;
+
+        for (let param of command.params || []) {
+            let label = this._getParamLabel(ctx, param);
+            if (param.type === 'enum' && Array.isArray(param.values))
+                label = param.values.join('|');
+            else if (param.type === 'text')
+                label += '...';
+            signature += param.required ? ` <${label}>` : ` [${label}]`;
+        }
+        return signature;
+    }
+
+    /**
+     * Generate list of commands available to the user
+     * @param {object} ctx
+     * @return {Promise}                            Resolves to message text
+     */
+    async getHelp(ctx) {
+        let locale = this._getLocale(ctx);
+        let lines = [ `${this._translate(ctx, 'commander_help', 'Available commands')}:` ];
+        for (let item of this._priorities) {
+            let command = this.getCommand(item.name);
+            if (!this._getSlashName(command) || typeof command.run !== 'function' || await this.checkAccess(ctx, command))
+                continue;
+
+            let line = this.getSignature(ctx, command);
+            if (command.description)
+                line += ` - ${this._localize(command.description, locale)}`;
+            lines.push(line);
+        }
+        lines.push(`/help - ${this._translate(ctx, 'commander_help_description', 'List of commands')}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Get command menu for the Bot API setMyCommands() call
+     * <br><br>
+     * Commands requiring roles or custom checks are not included as they can not be checked in advance
      * @param {string} locale
-     * @param {string} input
-     * @return {string[]}
+     * @param {string} scope                        'private', 'group' or 'admin'
+     * @return {object[]}                           Array of { command, description }
      */
-    stem(locale, input) {
-        input = input.toLowerCase();
-        if (!locale)
-            locale = this._i18n.defaultLocale;
-        if (locale === 'ru')
-            return natural.PorterStemmerRu.tokenizeAndStem(input);
-        return natural.PorterStemmer.tokenizeAndStem(input);
+    getMenu(locale, scope) {
+        let chats = {
+            private: [ 'private' ],
+            group: [ 'group', 'supergroup' ],
+            admin: [ 'group', 'supergroup' ],
+        }[scope];
+        if (!chats)
+            throw new Error(`Invalid menu scope: ${scope}`);
+
+        let menu = [];
+        for (let item of this._priorities) {
+            let command = this.getCommand(item.name);
+            let name = this._getSlashName(command);
+            if (!name || typeof command.run !== 'function')
+                continue;
+
+            let access = command.access || {};
+            if (access.roles || access.check || (access.admin && scope !== 'admin'))
+                continue;
+            if (access.chats && !chats.some(chat => [].concat(access.chats).includes(chat)))
+                continue;
+
+            menu.push({
+                command: name,
+                description: command.description ? this._localize(command.description, locale) : name,
+            });
+        }
+        if (!this.getSlashCommand('help')) {
+            menu.push({
+                command: 'help',
+                description: this._translateLocale(locale, 'commander_help_description', 'List of commands'),
+            });
+        }
+        return menu;
+    }
+
+    /**
+     * Main slash name of a command
+     * @param {object} command
+     * @return {string|undefined}
+     */
+    _getSlashName(command) {
+        return [].concat(command.slash || [])[0];
+    }
+
+    /**
+     * Pick string of the locale
+     * @param {string|object} value                 String or object of strings by locale
+     * @param {string} locale
+     * @return {string}
+     */
+    _localize(value, locale) {
+        if (!value || typeof value !== 'object')
+            return value;
+        return value[locale] || value[this._i18n.defaultLocale] || value[Object.keys(value)[0]];
+    }
+
+    /**
+     * Convert argument to its type
+     * @param {object} ctx
+     * @param {object} param
+     * @param {string} value
+     * @return {Promise}                            Resolves to value or null if invalid
+     */
+    async _parseParam(ctx, param, value) {
+        switch (param.type) {
+            case 'integer':
+                return /^[-+]?\d+$/.test(value) ? parseInt(value) : null;
+            case 'number':
+                value = value.replace(',', '.');
+                return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value) ? parseFloat(value) : null;
+            case 'enum':
+                return (param.values || []).find(item => item.toLowerCase() === value.toLowerCase()) || null;
+            case 'date':
+                return this.extractDate(this._getLocale(ctx), value);
+            case 'user':
+                return this._parseMention(ctx, value);
+            case 'text':
+            case undefined:
+                return value;
+            default:
+                throw new Error(`Invalid argument type: ${param.type}`);
+        }
+    }
+
+    /**
+     * Find user mentioned in the argument
+     * @param {object} ctx
+     * @param {string} value
+     * @return {object|null}                        Telegram user object or { username } if only the name is known
+     */
+    _parseMention(ctx, value) {
+        let message = ctx.message || ctx.editedMessage;
+        let entities = (message && message.entities) || [];
+        for (let entity of entities) {
+            if (entity.type === 'text_mention' && entity.user && message.text.substr(entity.offset, entity.length) === value)
+                return entity.user;
+        }
+
+        let match = /^@([a-zA-Z0-9_]{5,32})$/.exec(value);
+        return match ? { username: match[1] } : null;
+    }
+
+    /**
+     * Localized label of argument
+     * @param {object} ctx
+     * @param {object} param
+     * @return {string}
+     */
+    _getParamLabel(ctx, param) {
+        return param.label ? this._translate(ctx, param.label, param.name) : param.name;
+    }
+
+    /**
+     * Translate using ctx.i18n() if available
+     * @param {object} ctx
+     * @param {string} key
+     * @param {string} fallback
+     * @return {string}
+     */
+    _translate(ctx, key, fallback) {
+        if (typeof ctx.i18n !== 'function')
+            return fallback;
+
+        let result = ctx.i18n(key);
+        return (result && result !== key) ? result : fallback;
+    }
+
+    /**
+     * Translate to the locale using I18n service if it supports that
+     * @param {string} locale
+     * @param {string} key
+     * @param {string} fallback
+     * @return {string}
+     */
+    _translateLocale(locale, key, fallback) {
+        if (typeof this._i18n.translate !== 'function')
+            return fallback;
+
+        let result = this._i18n.translate(locale, key);
+        return (result && result !== key) ? result : fallback;
+    }
+
+    /**
+     * Locale of the update
+     * @param {object} ctx
+     * @return {string}
+     */
+    _getLocale(ctx) {
+        return (ctx.session && ctx.session.locale) ||
+            this._matchLocale(ctx.from && ctx.from.language_code) ||
+            this._i18n.defaultLocale;
+    }
+
+    /**
+     * Find supported locale matching language code ('pt-br' matches 'pt')
+     * @param {string} [code]                       Language code
+     * @return {string|null}
+     */
+    _matchLocale(code) {
+        if (!code)
+            return null;
+
+        code = code.toLowerCase().replace('_', '-');
+        for (let locale of [ code, code.split('-')[0] ]) {
+            if (this.locales.has(locale) || this.stemmers.has(locale))
+                return locale;
+        }
+        return null;
+    }
+
+    /**
+     * Handle menu action
+     * @param {object} ctx
+     * @param {object} scene
+     * @return {Promise}
+     */
+    async action(ctx, scene) {
+        try {
+            for (let item of this._priorities) {
+                let command = this.getCommand(item.name);
+                if (command.name !== ctx.match[1] || typeof command.action !== 'function')
+                    continue;
+
+                let denied = await this.checkAccess(ctx, command);
+                if (denied)
+                    return await this._deny(ctx, command, denied);
+
+                return await command.action(this, ctx, scene);
+            }
+        } catch (error) {
+            this._logger.error(new NError(error, { ctx }, 'Commander.action()'));
+        }
+    }
+
+    /**
+     * Check if input matches syntax
+     * @param {string} input
+     * @param {object} syntax
+     * @return {*}
+     */
+    match(input, syntax) {
+        input = input.toLowerCase();
+        let results = {};
+        for (let variant of Object.keys(syntax)) {
+            results[variant] = {};
+            for (let re of Object.keys(syntax[variant])) {
+                let match = syntax[variant][re].exec(input);
+                if (!match) {
+                    results[variant] = false;
+                    break;
+                }
+                results[variant][re] = match;
+            }
+        }
+        for (let variant of Object.keys(results)) {
+            if (results[variant])
+                return results;
+        }
+        return false;
+    }
+
+    /**
+     * Check if input contains everything of search
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string|string[]} input
+     * @param {string|string[]} search
+     * @return {boolean}
+     */
+    hasAll(locale, input, search) {
+        let inputTokens = this.normalize(locale, Array.isArray(input) ? input : this.stem(locale, input));
+        let searchTokens = this.normalize(locale, Array.isArray(search) ? search : this.stem(locale, search));
+        for (let item of searchTokens) {
+            if (!inputTokens.includes(item))
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check if input contains anything of search
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string|string[]} input
+     * @param {string|string[]} search
+     * @return {boolean}
+     */
+    hasAny(locale, input, search) {
+        let inputTokens = this.normalize(locale, Array.isArray(input) ? input : this.stem(locale, input));
+        let searchTokens = this.normalize(locale, Array.isArray(search) ? search : this.stem(locale, search));
+        for (let item of searchTokens) {
+            if (inputTokens.includes(item))
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check if input contains everything of search allowing typos
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string|string[]} input
+     * @param {string|string[]} search
+     * @param {number} [threshold]                  Min similarity of tokens (0 - 1), defaults to fuzzyThreshold
+     * @return {boolean}
+     */
+    hasAllFuzzy(locale, input, search, threshold) {
+        let inputTokens = this.normalize(locale, Array.isArray(input) ? input : this.stem(locale, input));
+        let searchTokens = this.normalize(locale, Array.isArray(search) ? search : this.stem(locale, search));
+        for (let item of searchTokens) {
+            if (!inputTokens.some(token => this.isSimilar(token, item, threshold)))
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check if input contains anything of search allowing typos
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string|string[]} input
+     * @param {string|string[]} search
+     * @param {number} [threshold]                  Min similarity of tokens (0 - 1), defaults to fuzzyThreshold
+     * @return {boolean}
+     */
+    hasAnyFuzzy(locale, input, search, threshold) {
+        let inputTokens = this.normalize(locale, Array.isArray(input) ? input : this.stem(locale, input));
+        let searchTokens = this.normalize(locale, Array.isArray(search) ? search : this.stem(locale, search));
+        for (let item of searchTokens) {
+            if (inputTokens.some(token => this.isSimilar(token, item, threshold)))
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Compare tokens using fuzzyMetric ('levenshtein' or 'jaro-winkler')
+     * @param {string} first
+     * @param {string} second
+     * @param {number} [threshold]                  Min similarity (0 - 1), defaults to fuzzyThreshold
+     * @return {boolean}
+     */
+    isSimilar(first, second, threshold) {
+        if (first === second)
+            return true;
+
+        if (typeof threshold !== 'number')
+            threshold = this.fuzzyThreshold;
+
+        let similarity;
+        switch (this.fuzzyMetric) {
+            case 'levenshtein':
+                similarity = 1 - natural.LevenshteinDistance(first, second) / Math.max(first.length, second.length);
+                break;
+            case 'jaro-winkler':
+                similarity = natural.JaroWinklerDistance(first, second);
+                break;
+            default:
+                throw new Error(`Invalid fuzzy metric: ${this.fuzzyMetric}`);
+        }
+        return similarity >= threshold;
+    }
+
+    /**
+     * Register locale pack, see src/locales/en.js for the format. Packs of the same locale are merged,
+     * stopWords and synonyms are appended
+     * @param {string} locale
+     * @param {object} pack
+     */
+    addLocale(locale, pack) {
+        let current = this.locales.get(locale) || {};
+        let merged = Object.assign({}, current, pack);
+        for (let key of [ 'stopWords', 'synonyms' ]) {
+            if (current[key] && pack[key])
+                merged[key] = current[key].concat(pack[key]);
+        }
+        this.locales.set(locale, merged);
+        this._dictionaries.delete(locale);
+        for (let key of this._phrases.keys()) {
+            if (key.startsWith(`${locale}:`))
+                this._phrases.delete(key);
+        }
+    }
+
+    /**
+     * Load locale packs from the directory, file name is the locale (en.js, pt-br.json)
+     * @param {string} directory
+     * @return {Promise}
+     */
+    async loadLocales(directory) {
+        await this._filer.process(
+            directory,
+            async filename => {
+                let ext = path.extname(filename);
+                if ([ '.js', '.json' ].includes(ext))
+                    this.addLocale(path.basename(filename, ext), require(filename));
+                return true;
+            },
+            async () => false
+        );
+    }
+
+    /**
+     * Get locale pack
+     * @param {string} locale
+     * @return {object}
+     */
+    getLocale(locale) {
+        return this.locales.get(this.resolveLocale(locale)) || {};
+    }
+
+    /**
+     * Resolve locale
+     * <br><br>
+     * Locale arguments of Commander methods are resolved by this method, so they also accept Telegraf context
+     * (session locale, then language of the user, then default locale is used) or nothing (default locale)
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @return {string}
+     */
+    resolveLocale(locale) {
+        if (typeof locale === 'string' && locale)
+            return locale;
+        if (locale && typeof locale === 'object')
+            return this._getLocale(locale);
+        return this.defaultLocale;
+    }
+
+    /**
+     * Register stemmer
+     * @param {string} locale
+     * @param {object} stemmer                      Object with stem(word) and tokenizeAndStem(text) methods
+     */
+    addStemmer(locale, stemmer) {
+        this.stemmers.set(locale, stemmer);
+        this._dictionaries.clear();
+        this._phrases.clear();
+    }
+
+    /**
+     * Get stemmer of the locale, falls back to the stemmer of the default locale and then to English one
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @return {object}
+     */
+    getStemmer(locale) {
+        locale = this.resolveLocale(locale);
+        return this.stemmers.get(locale) ||
+            this.stemmers.get(locale.split('-')[0]) ||
+            this.stemmers.get(this.defaultLocale) ||
+            natural.PorterStemmer;
+    }
+
+    /**
+     * Extract date
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @param {object} [options]                    See parseDate()
+     * @return {Promise}                            Resolves to moment or null
+     */
+    async extractDate(locale, input, options) {
+        let result = await this.parseDate(locale, input, options);
+        return result ? result.date : null;
+    }
+
+    /**
+     * Find date in the input
+     * <br><br>
+     * Understands numeric dates, "tomorrow", "in 3 days", "2 weeks ago", "next Tuesday", "next week",
+     * "end of month", "Friday", "the 5th", "5th of March" and their translations. "Next Tuesday" and "last Friday"
+     * are the closest such days after and before today, "next" with a unit refers to the week (month, year)
+     * following the current one, dates without explicit year (month, week) are moved forward when they are
+     * in the past and future is preferred.
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @param {object} [options]
+     * @param {boolean} [options.future]            Prefer future dates, defaults to preferFuture
+     * @return {Promise}                            Resolves to { date, index, text } or null, where index
+     *                                              and text describe the matched part of the input
+     */
+    async parseDate(locale, input, options = {}) {
+        let future = typeof options.future === 'boolean' ? options.future : this.preferFuture;
+        let result = null;
+        try {
+            locale = this.resolveLocale(locale);
+            let pack = this.getLocale(locale);
+            let text = input.toLowerCase();
+
+            result = this._parseNumericDate(pack, text, future);
+            if (!result) {
+                let tokens = this._tokenize(locale, text);
+                for (let i = 0; !result && i < tokens.length; i++) {
+                    let found = this._parseDateAt(locale, pack, tokens, i, future);
+                    if (found) {
+                        let last = tokens[i + found.count - 1];
+                        result = {
+                            date: found.date,
+                            index: tokens[i].index,
+                            length: last.index + last.text.length - tokens[i].index,
+                        };
+                    }
+                }
+            }
+        } catch (error) {
+            return null;
+        }
+
+        if (!result || !moment.isMoment(result.date) || !result.date.isValid())
+            return null;
+
+        return {
+            date: result.date.startOf('day'),
+            index: result.index,
+            text: input.substr(result.index, result.length),
+        };
+    }
+
+    /**
+     * Extract date and time
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @param {object} [options]                    See parseDateTime()
+     * @return {Promise}                            Resolves to moment or null
+     */
+    async extractDateTime(locale, input, options) {
+        let result = await this.parseDateTime(locale, input, options);
+        return result ? result.date : null;
+    }
+
+    /**
+     * Find date and time of day in the input
+     * <br><br>
+     * Time without date refers to today (or tomorrow when it has passed and future is preferred),
+     * date without time refers to midnight
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @param {object} [options]
+     * @param {boolean} [options.future]            Prefer future dates, defaults to preferFuture
+     * @return {Promise}                            Resolves to { date, hasDate, hasTime, index, text } or null,
+     *                                              where index and text describe the matched part of the input
+     */
+    async parseDateTime(locale, input, options = {}) {
+        let future = typeof options.future === 'boolean' ? options.future : this.preferFuture;
+
+        let date = await this.parseDate(locale, input, options);
+        let masked = date
+            ? input.substr(0, date.index) + ' '.repeat(date.text.length) + input.substr(date.index + date.text.length)
+            : input;
+        let time = await this.parseTime(locale, masked);
+        if (!date && !time)
+            return null;
+
+        let result = date ? date.date.clone() : moment().startOf('day');
+        if (time) {
+            result.hours(time.hours).minutes(time.minutes);
+            if (!date && future && result.isBefore(moment()))
+                result.add(1, 'day');
+        }
+
+        let spans = [ date, time ].filter(item => !!item);
+        let index = Math.min(...spans.map(item => item.index));
+        let end = Math.max(...spans.map(item => item.index + item.text.length));
+        return {
+            date: result,
+            hasDate: !!date,
+            hasTime: !!time,
+            index,
+            text: input.substr(index, end - index),
+        };
+    }
+
+    /**
+     * Find time of day in the input
+     * <br><br>
+     * Understands "15:30", "3 pm", "at 5", "at 15.30", "noon", "9 in the morning", "в 3 часа дня" and the like.
+     * Dot separated time is only accepted next to "at", hour or day part words, as it is rather a number otherwise
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {Promise}                            Resolves to { hours, minutes, index, text } or null
+     */
+    async parseTime(locale, input) {
+        try {
+            locale = this.resolveLocale(locale);
+            let pack = this.getLocale(locale);
+            let text = input.toLowerCase();
+            let tokens = this._tokenize(locale, text);
+            for (let i = 0; i < tokens.length; i++) {
+                let found = this._parseTimeAt(locale, pack, text, tokens, i);
+                if (found) {
+                    let last = tokens[i + found.count - 1];
+                    return {
+                        hours: found.hours,
+                        minutes: found.minutes,
+                        index: tokens[i].index,
+                        text: input.substr(tokens[i].index, last.index + last.text.length - tokens[i].index),
+                    };
+                }
+            }
+        } catch (error) {
+            // do nothing
+        }
+        return null;
+    }
+
+    /**
+     * Find time expression starting at the token
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {string} text                         Lower case input
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @return {object|null}                        { hours, minutes, count }
+     */
+    _parseTimeAt(locale, pack, text, tokens, start) {
+        let dayParts = pack.dayParts || [];
+        let next = start;
+
+        let at = this._matchPhrases(locale, tokens, next, [ pack.at || [] ]);
+        if (at)
+            next += at.count;
+
+        // noon
+        let match = this._matchPhrases(locale, tokens, next, (pack.timeWords || []).map(item => item.words));
+        if (match) {
+            let item = pack.timeWords[match.index];
+            return { hours: item.hours, minutes: item.minutes || 0, count: next - start + match.count };
+        }
+
+        // in the morning
+        match = this._matchPhrases(locale, tokens, next, dayParts.map(item => item.words));
+        if (match && typeof dayParts[match.index].hours === 'number')
+            return { hours: dayParts[match.index].hours, minutes: 0, count: next - start + match.count };
+
+        // 3:30 pm, 3 часа 30 минут дня
+        let token = tokens[next];
+        if (!token || token.number === null || token.number > 23)
+            return null;
+
+        let hours = token.number;
+        let minutes = null;
+        let colon = false;
+        next++;
+
+        let separator = text.substr(token.index + token.text.length, 1);
+        if (tokens[next] && tokens[next].number !== null && tokens[next].text.length === 2 &&
+            [ ':', '.' ].includes(separator) && tokens[next].index === token.index + token.text.length + 1) {
+            if (tokens[next].number > 59)
+                return null;
+            minutes = tokens[next++].number;
+            colon = (separator === ':');
+        }
+
+        let unit = false;
+        match = this._matchPhrases(locale, tokens, next, [ pack.hourWords || [] ]);
+        if (match) {
+            unit = true;
+            next += match.count;
+            if (minutes === null && tokens[next] && tokens[next].number !== null && tokens[next].number < 60) {
+                match = this._matchPhrases(locale, tokens, next + 1, [ pack.minuteWords || [] ]);
+                if (match) {
+                    minutes = tokens[next].number;
+                    next += 1 + match.count;
+                }
+            }
+        }
+
+        let part = null;
+        match = this._matchPhrases(locale, tokens, next, dayParts.map(item => item.words));
+        if (match) {
+            part = dayParts[match.index];
+            next += match.count;
+        }
+
+        // "12.50" alone is rather a number
+        if (!at && !unit && !part && !colon)
+            return null;
+
+        if (part) {
+            let inPart = value => (part.from <= part.to)
+                ? (value >= part.from && value <= part.to)
+                : (value >= part.from || value <= part.to);
+            if (!inPart(hours) && inPart((hours + 12) % 24))
+                hours = (hours + 12) % 24;
+        }
+
+        return { hours, minutes: minutes || 0, count: next - start };
+    }
+
+    /**
+     * Extract duration
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {Promise}                            Resolves to moment duration or null
+     */
+    async extractDuration(locale, input) {
+        let result = await this.parseDuration(locale, input);
+        return result ? result.duration : null;
+    }
+
+    /**
+     * Find duration in the input
+     * <br><br>
+     * Understands "2 hours 30 min", "1.5 days", "an hour and a half", "полтора часа", "полчаса" and the like
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {Promise}                            Resolves to { duration, index, text } or null
+     */
+    async parseDuration(locale, input) {
+        try {
+            locale = this.resolveLocale(locale);
+            let pack = this.getLocale(locale);
+            let text = input.toLowerCase();
+            let tokens = this._tokenize(locale, text);
+            for (let i = 0; i < tokens.length; i++) {
+                let found = this._parseDurationAt(locale, pack, text, tokens, i);
+                if (found) {
+                    let last = tokens[i + found.count - 1];
+                    return {
+                        duration: found.duration,
+                        index: tokens[i].index,
+                        text: input.substr(tokens[i].index, last.index + last.text.length - tokens[i].index),
+                    };
+                }
+            }
+        } catch (error) {
+            // do nothing
+        }
+        return null;
+    }
+
+    /**
+     * Extract recurrence rule
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {Promise}                            Resolves to { frequency, interval, weekdays, time } or null
+     */
+    async extractRecurrence(locale, input) {
+        let result = await this.parseRecurrence(locale, input);
+        if (!result)
+            return null;
+
+        return {
+            frequency: result.frequency,
+            interval: result.interval,
+            weekdays: result.weekdays,
+            time: result.time,
+        };
+    }
+
+    /**
+     * Find recurrence rule in the input
+     * <br><br>
+     * Understands "every day", "every 2 weeks", "every Monday and Friday at 9", "weekly", "по будням",
+     * "каждый день в 10 утра" and the like. Frequency is one of 'minutely', 'hourly', 'daily', 'weekly',
+     * 'monthly' and 'yearly', weekdays is an array of days (0 is Sunday) or null, time is { hours, minutes }
+     * or null.
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {Promise}                            Resolves to { frequency, interval, weekdays, time, index, text }
+     *                                              or null, where index and text describe the matched part
+     *                                              of the input
+     */
+    async parseRecurrence(locale, input) {
+        let result = null;
+        try {
+            locale = this.resolveLocale(locale);
+            let pack = this.getLocale(locale);
+            let text = input.toLowerCase();
+            let tokens = this._tokenize(locale, text);
+            for (let i = 0; !result && i < tokens.length; i++) {
+                let found = this._parseRecurrenceAt(locale, pack, tokens, i);
+                if (found) {
+                    let last = tokens[i + found.count - 1];
+                    result = {
+                        frequency: found.frequency,
+                        interval: found.interval,
+                        weekdays: found.weekdays,
+                        time: null,
+                        index: tokens[i].index,
+                        text: input.substr(tokens[i].index, last.index + last.text.length - tokens[i].index),
+                    };
+                }
+            }
+        } catch (error) {
+            return null;
+        }
+
+        if (!result)
+            return null;
+
+        let masked = input.substr(0, result.index) + ' '.repeat(result.text.length) +
+            input.substr(result.index + result.text.length);
+        let time = await this.parseTime(locale, masked);
+        if (time) {
+            result.time = { hours: time.hours, minutes: time.minutes };
+            let index = Math.min(result.index, time.index);
+            let end = Math.max(result.index + result.text.length, time.index + time.text.length);
+            result.index = index;
+            result.text = input.substr(index, end - index);
+        }
+
+        return result;
+    }
+
+    /**
+     * Find duration starting at the token
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {string} text                         Lower case input
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @return {object|null}                        { duration, count }
+     */
+    _parseDurationAt(locale, pack, text, tokens, start) {
+        let units = Object.assign({}, pack.timeUnits || {}, pack.units || {});
+        let names = Object.keys(units);
+        let words = pack.durationWords || [];
+        let duration = null;
+        let next = start;
+
+        for (;;) {
+            let position = next;
+            if (duration) {
+                let and = this._matchPhrases(locale, tokens, position, [ pack.and || [] ]);
+                if (and)
+                    position += and.count;
+            }
+
+            let amount = null;
+            let unit = null;
+            let match = this._matchPhrases(locale, tokens, position, words.map(item => item.words));
+            if (match) {
+                amount = words[match.index].amount;
+                unit = words[match.index].unit;
+                position += match.count;
+            } else {
+                let value = this._parseAmount(locale, pack, text, tokens, position);
+                if (value)
+                    position += value.count;
+
+                match = this._matchPhrases(locale, tokens, position, names.map(name => units[name]));
+                if (!match)
+                    break;
+
+                amount = value ? value.amount : 1;
+                unit = names[match.index];
+                position += match.count;
+
+                match = this._matchPhrases(locale, tokens, position, [ pack.half || [] ]);
+                if (match) {
+                    amount += 0.5;
+                    position += match.count;
+                }
+            }
+
+            if (!duration)
+                duration = moment.duration(0);
+            duration.add(amount, unit);
+            next = position;
+        }
+
+        return duration ? { duration, count: next - start } : null;
+    }
+
+    /**
+     * Find amount ("2", "1.5", "a", "полтора")
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {string} text                         Lower case input
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @return {object|null}                        { amount, count }
+     */
+    _parseAmount(locale, pack, text, tokens, start) {
+        let token = tokens[start];
+        if (!token)
+            return null;
+
+        if (token.number !== null) {
+            let fraction = tokens[start + 1];
+            let end = token.index + token.text.length;
+            if (fraction && fraction.number !== null && fraction.index === end + 1 && [ '.', ',' ].includes(text[end]))
+                return { amount: parseFloat(`${token.text}.${fraction.text}`), count: 2 };
+            return { amount: token.number, count: 1 };
+        }
+
+        let amounts = pack.amounts || [];
+        let match = this._matchPhrases(locale, tokens, start, amounts.map(item => item.words));
+        return match ? { amount: amounts[match.index].amount, count: match.count } : null;
+    }
+
+    /**
+     * Find recurrence starting at the token
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @return {object|null}                        { frequency, interval, weekdays, count }
+     */
+    _parseRecurrenceAt(locale, pack, tokens, start) {
+        let frequencies = {
+            minute: 'minutely',
+            hour: 'hourly',
+            day: 'daily',
+            week: 'weekly',
+            month: 'monthly',
+            year: 'yearly',
+        };
+
+        // weekly on Friday
+        let withWeekdays = result => {
+            if (result.frequency !== 'weekly' || result.weekdays)
+                return result;
+
+            let next = start + result.count;
+            let on = this._matchPhrases(locale, tokens, next, [ pack.on || [] ]);
+            let weekdays = this._parseWeekdays(locale, pack, tokens, on ? next + on.count : next);
+            if (weekdays) {
+                result.weekdays = weekdays.weekdays;
+                result.count += (on ? on.count : 0) + weekdays.count;
+            }
+            return result;
+        };
+
+        // daily, on weekdays
+        let recurrences = pack.recurrences || [];
+        let match = this._matchPhrases(locale, tokens, start, recurrences.map(item => item.words));
+        if (match) {
+            let item = recurrences[match.index];
+            return withWeekdays({
+                frequency: item.frequency,
+                interval: 1,
+                weekdays: item.weekdays || null,
+                count: match.count,
+            });
+        }
+
+        match = this._matchPhrases(locale, tokens, start, [ pack.every || [] ]);
+        if (!match)
+            return null;
+
+        let next = start + match.count;
+
+        // every Monday and Friday
+        let weekdays = this._parseWeekdays(locale, pack, tokens, next);
+        if (weekdays) {
+            return {
+                frequency: 'weekly',
+                interval: 1,
+                weekdays: weekdays.weekdays,
+                count: next + weekdays.count - start,
+            };
+        }
+
+        // every 2 weeks
+        let interval = 1;
+        if (tokens[next] && tokens[next].number !== null && tokens[next].number > 0)
+            interval = tokens[next++].number;
+
+        let units = Object.assign({}, pack.timeUnits || {}, pack.units || {});
+        let names = Object.keys(units).filter(name => !!frequencies[name]);
+        let unit = this._matchPhrases(locale, tokens, next, names.map(name => units[name]));
+        if (!unit)
+            return null;
+
+        return withWeekdays({
+            frequency: frequencies[names[unit.index]],
+            interval,
+            weekdays: null,
+            count: next + unit.count - start,
+        });
+    }
+
+    /**
+     * Find list of weekdays ("Monday and Friday") starting at the token
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @return {object|null}                        { weekdays, count }
+     */
+    _parseWeekdays(locale, pack, tokens, start) {
+        let weekdays = [];
+        let next = start;
+        for (;;) {
+            let position = next;
+            if (weekdays.length) {
+                let and = this._matchPhrases(locale, tokens, position, [ pack.and || [] ]);
+                if (and)
+                    position += and.count;
+            }
+            let weekday = this._matchPhrases(locale, tokens, position, pack.weekdays || []);
+            if (!weekday)
+                break;
+            if (!weekdays.includes(weekday.index))
+                weekdays.push(weekday.index);
+            next = position + weekday.count;
+        }
+        return weekdays.length ? { weekdays: weekdays.sort((a, b) => a - b), count: next - start } : null;
+    }
+
+    /**
+     * Extract numbers
+     * <br><br>
+     * Understands digits with locale separators ("1,500.25", "1 500,25"), numbers written as words ("three
+     * hundred", "двадцать пять") and their combinations ("5 тысяч", "1.5 million")
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {Promise}                            Resolves to array of { value, index, text }
+     */
+    async extractNumbers(locale, input) {
+        try {
+            locale = this.resolveLocale(locale);
+            let pack = this.getLocale(locale);
+            let text = input.toLowerCase();
+            return this._findNumbers(locale, pack, text, this._tokenize(locale, text))
+                .map(number => ({
+                    value: number.value,
+                    index: number.index,
+                    text: input.substr(number.index, number.end - number.index),
+                }));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Extract amounts of money
+     * <br><br>
+     * Every number of the input is returned, currency is an ISO code ('USD') found next to it by symbol,
+     * code or name ("$12.50", "150 руб", "EUR 20"), or null
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {Promise}                            Resolves to array of { value, currency, index, text }
+     */
+    async extractAmounts(locale, input) {
+        try {
+            locale = this.resolveLocale(locale);
+            let pack = this.getLocale(locale);
+            let text = input.toLowerCase();
+            let tokens = this._tokenize(locale, text);
+            return this._findNumbers(locale, pack, text, tokens)
+                .map(number => {
+                    let currency = this._findCurrency(locale, pack, text, tokens, number);
+                    let index = currency ? Math.min(number.index, currency.index) : number.index;
+                    let end = currency ? Math.max(number.end, currency.end) : number.end;
+                    return {
+                        value: number.value,
+                        currency: currency ? currency.code : null,
+                        index,
+                        text: input.substr(index, end - index),
+                    };
+                });
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Find numbers in the tokens
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {string} text                         Lower case input
+     * @param {object[]} tokens                     Input tokens
+     * @return {object[]}                           Array of { value, start, count, index, end }, where start
+     *                                              and count describe tokens and index and end - characters
+     */
+    _findNumbers(locale, pack, text, tokens) {
+        let escape = chars => chars.map(char => char.replace(/[\\^\]-]/g, '\\$&')).join('');
+        let groups = escape(pack.groupSeparators || []);
+        let decimals = escape(pack.decimalSeparators || [ '.' ]);
+        let re = new RegExp(
+            '^(' + (groups ? `\\d{1,3}(?:[${groups}]\\d{3})+(?!\\d)|` : '') + '\\d+)' +
+            (decimals ? `(?:[${decimals}](\\d+))?` : '')
+        );
+        let words = pack.numberWords || [];
+        let phrases = words.map(item => item.words);
+
+        let results = [];
+        for (let i = 0; i < tokens.length;) {
+            let value = null;
+            let next = i;
+            let end = tokens[i].index;
+
+            if (tokens[i].number !== null) {
+                let match = re.exec(text.substr(tokens[i].index));
+                value = parseFloat(match[1].replace(/\D/g, '') + (match[2] ? `.${match[2]}` : ''));
+                end += match[0].length;
+                while (next < tokens.length && tokens[next].index < end)
+                    next++;
+
+                let multiplier = this._matchPhrases(locale, tokens, next, phrases, true);
+                if (multiplier && words[multiplier.index].multiplier) {
+                    value *= words[multiplier.index].value;
+                    next += multiplier.count;
+                }
+            } else {
+                let total = 0;
+                let current = 0;
+                let last = Infinity;
+                for (;;) {
+                    let position = next;
+                    if (next > i) {
+                        let and = this._matchPhrases(locale, tokens, position, [ pack.and || [] ]);
+                        if (and)
+                            position += and.count;
+                    }
+
+                    let match = this._matchPhrases(locale, tokens, position, phrases, true);
+                    if (!match)
+                        break;
+
+                    let item = words[match.index];
+                    if (item.multiplier) {
+                        if (item.value < 1000) {
+                            current = (current || 1) * item.value;
+                        } else {
+                            total += (current || 1) * item.value;
+                            current = 0;
+                        }
+                        last = Infinity;
+                    } else {
+                        if (item.value >= last || (last < 100 && item.value >= 10))
+                            break;
+                        current += item.value;
+                        last = item.value || Infinity;
+                    }
+                    next = position + match.count;
+                }
+                if (next > i)
+                    value = total + current;
+            }
+
+            if (value === null) {
+                i++;
+                continue;
+            }
+
+            let last = tokens[next - 1];
+            end = Math.max(end, last.index + last.text.length);
+            results.push({ value, start: i, count: next - i, index: tokens[i].index, end });
+            i = next;
+        }
+        return results;
+    }
+
+    /**
+     * Find currency next to the number
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {string} text                         Lower case input
+     * @param {object[]} tokens                     Input tokens
+     * @param {object} number                       Number as returned by _findNumbers()
+     * @return {object|null}                        { code, index, end }
+     */
+    _findCurrency(locale, pack, text, tokens, number) {
+        let currencies = pack.currencies || [];
+        let after = number.end + (text.substr(number.end).length - text.substr(number.end).trimLeft().length);
+        let before = text.substr(0, number.index).trimRight().length;
+
+        // 12$, $12
+        for (let currency of currencies) {
+            for (let symbol of currency.symbols || []) {
+                if (text.substr(after, symbol.length) === symbol)
+                    return { code: currency.code, index: after, end: after + symbol.length };
+                if (before >= symbol.length && text.substr(before - symbol.length, symbol.length) === symbol)
+                    return { code: currency.code, index: before - symbol.length, end: before };
+            }
+        }
+
+        // 150 руб
+        let next = number.start + number.count;
+        if (next < tokens.length && tokens[next].index === after) {
+            let match = this._matchPhrases(locale, tokens, next, currencies.map(item => item.words || []));
+            if (!match)
+                match = this._matchPhrases(locale, tokens, next, currencies.map(item => item.code.toLowerCase()), true);
+            if (match) {
+                let last = tokens[next + match.count - 1];
+                return { code: currencies[match.index].code, index: after, end: last.index + last.text.length };
+            }
+        }
+
+        // EUR 20
+        let previous = tokens[number.start - 1];
+        if (previous && previous.index + previous.text.length === before) {
+            let index = currencies.findIndex(item => item.code.toLowerCase() === previous.text);
+            if (index !== -1)
+                return { code: currencies[index].code, index: previous.index, end: before };
+        }
+
+        return null;
+    }
+
+    /**
+     * Find numeric date
+     * @param {object} pack                         Locale pack
+     * @param {string} text                         Lower case input
+     * @param {boolean} future                      Prefer future dates
+     * @return {object|null}                        { date, index, length }
+     */
+    _parseNumericDate(pack, text, future) {
+        let formats = [ { re: /(\d{4})-(\d{1,2})-(\d{1,2})/, parts: [ 'year', 'month', 'day' ] } ]
+            .concat(pack.dateFormats || []);
+
+        for (let format of formats) {
+            let match = format.re.exec(text);
+            if (!match)
+                continue;
+
+            let date = { year: moment().year() };
+            format.parts.forEach((part, index) => {
+                date[part] = parseInt(match[index + 1]);
+            });
+            if (date.year < 100)
+                date.year += 2000;
+
+            let result = moment([ date.year, date.month - 1, date.day ]);
+            if (!result.isValid())
+                continue;
+            if (future && !format.parts.includes('year') && result.isBefore(moment().startOf('day')))
+                result = moment([ date.year + 1, date.month - 1, date.day ]);
+
+            return {
+                date: result,
+                index: match.index,
+                length: match[0].length,
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Find date expression starting at the token
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @param {boolean} future                      Prefer future dates
+     * @return {object|null}                        { date, count } where count is the number of tokens used
+     */
+    _parseDateAt(locale, pack, tokens, start, future) {
+        let today = moment().startOf('day');
+        let units = Object.keys(pack.units || {});
+        let unitPhrases = units.map(unit => pack.units[unit]);
+        let relatives = [ pack.next || [], pack.last || [], pack.current || [] ];
+        let match;
+
+        // tomorrow
+        match = this._matchPhrases(locale, tokens, start, (pack.relativeDays || []).map(item => item.words));
+        if (match)
+            return { date: today.add(pack.relativeDays[match.index].days, 'days'), count: match.count };
+
+        // in 3 days
+        match = this._matchPhrases(locale, tokens, start, [ pack.after || [] ]);
+        if (match) {
+            let offset = this._parseOffset(locale, pack, tokens, start + match.count);
+            if (offset)
+                return { date: today.add(offset.amount, offset.unit), count: match.count + offset.count };
+        }
+
+        // 3 days ago
+        let offset = this._parseOffset(locale, pack, tokens, start);
+        if (offset) {
+            match = this._matchPhrases(locale, tokens, start + offset.count, [ pack.ago || [] ]);
+            if (match)
+                return { date: today.subtract(offset.amount, offset.unit), count: offset.count + match.count };
+        }
+
+        // next Tuesday, next week
+        match = this._matchPhrases(locale, tokens, start, relatives);
+        if (match) {
+            let shift = [ 1, -1, 0 ][match.index];
+            let next = start + match.count;
+            let weekday = this._matchPhrases(locale, tokens, next, pack.weekdays || []);
+            if (weekday) {
+                // counted from today, not from the week boundary
+                let days = (weekday.index - today.day() + 7) % 7;
+                if (shift < 0)
+                    days = (days - 7) % 7 || -7;
+                else if (shift > 0)
+                    days = days || 7;
+                return { date: today.add(days, 'days'), count: match.count + weekday.count };
+            }
+
+            let unit = this._matchPhrases(locale, tokens, next, unitPhrases);
+            if (unit) {
+                let date = today.add(shift, units[unit.index]);
+                if (shift && units[unit.index] !== 'day')
+                    date.startOf(units[unit.index] === 'week' ? 'isoWeek' : units[unit.index]);
+                return { date, count: match.count + unit.count };
+            }
+        }
+
+        // end of month
+        match = this._matchPhrases(locale, tokens, start, [ pack.endOf || [], pack.startOf || [] ]);
+        if (match) {
+            let next = start + match.count;
+            let shift = 0;
+            let relative = this._matchPhrases(locale, tokens, next, relatives);
+            if (relative) {
+                shift = [ 1, -1, 0 ][relative.index];
+                next += relative.count;
+            }
+
+            let unit = this._matchPhrases(locale, tokens, next, unitPhrases);
+            if (unit && units[unit.index] !== 'day') {
+                let date = today.clone().add(shift, units[unit.index]);
+                if (units[unit.index] === 'week') {
+                    date.isoWeekday(match.index ? 1 : (pack.weekEnd || 7));
+                    if (future && !relative && date.isBefore(today))
+                        date.add(1, 'week');
+                } else if (match.index) {
+                    date.startOf(units[unit.index]);
+                } else {
+                    date.endOf(units[unit.index]);
+                }
+                return { date, count: next + unit.count - start };
+            }
+        }
+
+        // Friday
+        match = this._matchPhrases(locale, tokens, start, pack.weekdays || []);
+        if (match) {
+            let date = today.clone().day(match.index);
+            if (future && date.isBefore(today))
+                date.add(1, 'week');
+            return { date, count: match.count };
+        }
+
+        // 5th of March, March 5th, the 5th
+        return this._parseDayOfMonth(locale, pack, tokens, start, future);
+    }
+
+    /**
+     * Find "3 days", "a week" and the like
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @return {object|null}                        { amount, unit, count }
+     */
+    _parseOffset(locale, pack, tokens, start) {
+        let units = Object.keys(pack.units || {});
+        let amount = 1;
+        let next = start;
+        if (next < tokens.length && tokens[next].number !== null)
+            amount = tokens[next++].number;
+
+        let unit = this._matchPhrases(locale, tokens, next, units.map(item => pack.units[item]));
+        if (!unit)
+            return null;
+
+        return {
+            amount,
+            unit: units[unit.index],
+            count: next - start + unit.count,
+        };
+    }
+
+    /**
+     * Find day of month with optional month and year
+     * @param {string} locale
+     * @param {object} pack                         Locale pack
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @param {boolean} future                      Prefer future dates
+     * @return {object|null}                        { date, count }
+     */
+    _parseDayOfMonth(locale, pack, tokens, start, future) {
+        let parseDay = index => {
+            let token = tokens[index];
+            if (!token || token.number === null || token.number < 1 || token.number > 31)
+                return null;
+
+            let count = 1;
+            while (tokens[index + count] && (pack.ordinals || []).includes(tokens[index + count].text))
+                count++;
+            return { day: token.number, ordinal: count > 1, count };
+        };
+        let parseYear = index => {
+            let token = tokens[index];
+            return (token && token.number !== null && token.text.length === 4) ? token.number : null;
+        };
+
+        let day = null;
+        let month = null;
+        let year = null;
+        let next = start;
+
+        let monthMatch = this._matchPhrases(locale, tokens, start, pack.months || []);
+        if (monthMatch) {
+            day = parseDay(start + monthMatch.count);
+            if (!day)
+                return null;
+            month = monthMatch.index;
+            next += monthMatch.count + day.count;
+        } else {
+            day = parseDay(start);
+            if (!day)
+                return null;
+            next += day.count;
+
+            let of = this._matchPhrases(locale, tokens, next, [ pack.of || [] ]);
+            monthMatch = this._matchPhrases(locale, tokens, next + (of ? of.count : 0), pack.months || []);
+            if (monthMatch) {
+                month = monthMatch.index;
+                next += (of ? of.count : 0) + monthMatch.count;
+            } else if (!day.ordinal) {
+                return null;
+            }
+        }
+
+        if (month !== null) {
+            year = parseYear(next);
+            if (year !== null)
+                next++;
+        }
+
+        let today = moment().startOf('day');
+        let date = moment([
+            year === null ? today.year() : year,
+            month === null ? today.month() : month,
+            day.day,
+        ]);
+        if (future && year === null && date.isBefore(today)) {
+            date = (month === null)
+                ? moment([ today.year(), today.month(), day.day ]).add(1, 'month')
+                : moment([ today.year() + 1, month, day.day ]);
+        }
+
+        return { date, count: next - start };
+    }
+
+    /**
+     * Find the longest phrase at the position
+     * @param {string} locale
+     * @param {object[]} tokens                     Input tokens
+     * @param {number} start                        Index of the token
+     * @param {Array} groups                       Array of phrases or arrays of phrases
+     * @param {boolean} [exact=false]               Compare words instead of fuzzy comparison of stems
+     * @return {object|null}                        { index, count } where index is the index of the group
+     *                                              and count is the number of tokens used
+     */
+    _matchPhrases(locale, tokens, start, groups, exact = false) {
+        let result = null;
+        groups.forEach((group, index) => {
+            for (let phrase of Array.isArray(group) ? group : [ group ]) {
+                let words = this._tokenize(locale, phrase, true);
+                if (!words.length || start + words.length > tokens.length || (result && result.count >= words.length))
+                    continue;
+
+                let matches = exact
+                    ? (word, offset) => tokens[start + offset].text === word.text
+                    : (word, offset) => this.isSimilar(tokens[start + offset].stem, word.stem);
+                if (words.every(matches))
+                    result = { index, count: words.length };
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Split text into words and numbers
+     * @param {string} locale
+     * @param {string} text
+     * @param {boolean} [cache=false]               Cache the result (for phrases of locale packs)
+     * @return {object[]}                           Array of { text, index, stem, number }
+     */
+    _tokenize(locale, text, cache = false) {
+        let key = `${locale}:${text}`;
+        if (cache && this._phrases.has(key))
+            return this._phrases.get(key);
+
+        let stemmer = this.getStemmer(locale);
+        let tokens = [];
+        let re = /\d+|[^\s\d!-/:-@[-`{-~\u00a0-\u00bf\u2000-\u206f]+/g;
+        let match;
+        text = text.toLowerCase();
+        while ((match = re.exec(text))) {
+            let isNumber = /^\d/.test(match[0]);
+            tokens.push({
+                text: match[0],
+                index: match.index,
+                stem: isNumber ? match[0] : stemmer.stem(match[0]),
+                number: isNumber ? parseInt(match[0]) : null,
+            });
+        }
+
+        if (cache)
+            this._phrases.set(key, tokens);
+        return tokens;
+    }
+
+    /**
+     * Tokenize and stem
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string} input
+     * @return {string[]}
+     */
+    stem(locale, input) {
+        locale = this.resolveLocale(locale);
+        let { stopWords } = this._getDictionary(locale);
+        return this.getStemmer(locale)
+            .tokenizeAndStem(input.toLowerCase())
+            .filter(token => !stopWords.has(token));
+    }
+
+    /**
+     * Replace synonyms of stemmed tokens with the first word of their group
+     * @param {string|object} [locale]              Locale or Telegraf context
+     * @param {string[]} tokens                     Stemmed tokens
+     * @return {string[]}
+     */
+    normalize(locale, tokens) {
+        let { synonyms } = this._getDictionary(this.resolveLocale(locale));
+        return tokens.map(token => synonyms.get(token) || token);
+    }
+
+    /**
+     * Get stemmed stop words and synonyms of the locale
+     * @param {string} locale
+     * @return {object}                             { stopWords: Set, synonyms: Map }
+     */
+    _getDictionary(locale) {
+        let dictionary = this._dictionaries.get(locale);
+        if (dictionary)
+            return dictionary;
+
+        let pack = this.locales.get(locale) || {};
+        let stemmer = this.getStemmer(locale);
+        dictionary = {
+            stopWords: new Set(),
+            synonyms: new Map(),
+        };
+        for (let word of pack.stopWords || [])
+            dictionary.stopWords.add(stemmer.stem(word.toLowerCase()));
+        for (let group of pack.synonyms || []) {
+            let stems = group
+                .map(word => stemmer.tokenizeAndStem(word.toLowerCase()))
+                .filter(tokens => tokens.length === 1)
+                .map(tokens => tokens[0]);
+            for (let stem of stems) {
+                if (!dictionary.synonyms.has(stem))
+                    dictionary.synonyms.set(stem, stems[0]);
+            }
+        }
+
+        this._dictionaries.set(locale, dictionary);
+        return dictionary;
     }
 }
 
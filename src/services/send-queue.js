@@ -0,0 +1,350 @@
+/**
+ * Telegram outbound message queue
+ * @module telegram/services/send-queue
+ */
+const NError = require('nerror');
+
+/**
+ * Send queue service
+ * <br><br>
+ * Delays Bot API calls that post or edit messages so that global, per-chat and per-group
+ * flood limits are respected, and retries the calls which failed with 429 Too Many Requests
+ */
+class SendQueue {
+    /**
+     * Create the service
+     * @param {App} app                         The application
+     * @param {object} config                   Configuration
+     * @param {Logger} logger                   Logger service
+     */
+    constructor(app, config, logger) {
+        this.server = null;
+
+        this._app = app;
+        this._config = config;
+        this._logger = logger;
+
+        this._queue = [];
+        this._sent = [];
+        this._chats = new Map();
+        this._blockedUntil = 0;
+        this._timer = null;
+        this._timerAt = 0;
+        this._running = 0;
+        this._waiting = [];
+        this._installed = new WeakSet();
+    }
+
+    /**
+     * Service name is 'telegram.services.sendQueue'
+     * @type {string}
+     */
+    static get provides() {
+        return 'telegram.services.sendQueue';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'config', 'logger' ];
+    }
+
+    /**
+     * Bot API methods going through the queue, the ones posting or editing messages (sendChatAction is not limited)
+     * @type {RegExp}
+     */
+    static get methods() {
+        return /^(send(?!ChatAction$)|editMessage|forwardMessage|copyMessage)/;
+    }
+
+    /**
+     * Max number of requests per second for the whole bot
+     * @type {number}
+     */
+    get globalLimit() {
+        return this._config.get(`servers.${this.server}.queue.global_limit`) || 30;
+    }
+
+    /**
+     * Max number of requests per second for a private chat
+     * @type {number}
+     */
+    get chatLimit() {
+        return this._config.get(`servers.${this.server}.queue.chat_limit`) || 1;
+    }
+
+    /**
+     * Max number of requests per minute for a group chat
+     * @type {number}
+     */
+    get groupLimit() {
+        return this._config.get(`servers.${this.server}.queue.group_limit`) || 20;
+    }
+
+    /**
+     * Max number of retries after 429 error
+     * @type {number}
+     */
+    get maxRetries() {
+        let retries = this._config.get(`servers.${this.server}.queue.max_retries`);
+        return typeof retries === 'number' ? retries : 3;
+    }
+
+    /**
+     * Number of requests waiting in the queue
+     * @type {number}
+     */
+    get depth() {
+        return this._queue.length;
+    }
+
+    /**
+     * Number of requests to a chat waiting in the queue
+     * @param {number|string} chatId            Chat ID
+     * @return {number}
+     */
+    getDepth(chatId) {
+        chatId = chatId.toString();
+        return this._queue.reduce((prev, cur) => prev + (cur.chatId === chatId ? 1 : 0), 0);
+    }
+
+    /**
+     * Initialize the queue
+     * @param {string} server                   Server name
+     */
+    init(server) {
+        this.server = server;
+    }
+
+    /**
+     * Route message calls of a Telegram client through the queue
+     * @param {object} telegram                 Telegraf Telegram instance
+     */
+    install(telegram) {
+        if (!telegram || this._installed.has(telegram))
+            return;
+
+        this._installed.add(telegram);
+
+        let callApi = telegram.callApi.bind(telegram);
+        telegram.callApi = (method, extra = {}) => {
+            if (!this.constructor.methods.test(method))
+                return callApi(method, extra);
+
+            return this.push(extra.chat_id, () => callApi(method, extra));
+        };
+    }
+
+    /**
+     * Add request to the queue
+     * @param {number|string|undefined} chatId  Chat ID or undefined if the request is not bound to a chat
+     * @param {function} cb                     Function which performs the request and returns a Promise
+     * @return {Promise}                        Resolves to the result of the request
+     */
+    push(chatId, cb) {
+        return new Promise((resolve, reject) => {
+            this._queue.push({
+                chatId: (chatId === undefined || chatId === null) ? null : chatId.toString(),
+                cb: cb,
+                attempts: 0,
+                resolve: resolve,
+                reject: reject,
+            });
+            this._schedule(0);
+        });
+    }
+
+    /**
+     * Wait for the queue to become empty and stop it
+     * @return {Promise}
+     */
+    async stop() {
+        if (this._queue.length || this._running) {
+            this._logger.debug('telegram', `${this.server}: Waiting for ${this._queue.length + this._running} outgoing request(s)`);
+            await new Promise(resolve => this._waiting.push(resolve));
+        }
+
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Schedule queue processing
+     * @param {number} delay                    Delay in ms
+     */
+    _schedule(delay) {
+        let at = Date.now() + delay;
+        if (this._timer) {
+            if (this._timerAt <= at)
+                return;
+            clearTimeout(this._timer);
+        }
+
+        this._timerAt = at;
+        this._timer = setTimeout(
+            () => {
+                this._timer = null;
+                this._process();
+            },
+            delay
+        );
+    }
+
+    /**
+     * Send every request which does not exceed the limits
+     */
+    _process() {
+        let now = Date.now();
+        this._cleanup(now);
+
+        let wait = null;
+        for (let i = 0; i < this._queue.length;) {
+            let job = this._queue[i];
+            let globalDelay = this._getGlobalDelay(now);
+            let delay = Math.max(globalDelay, this._getChatDelay(job.chatId, now));
+            if (delay > 0) {
+                wait = (wait === null) ? delay : Math.min(wait, delay);
+                if (globalDelay > 0)
+                    break;
+                i++;
+                continue;
+            }
+
+            this._queue.splice(i, 1);
+            this._sent.push(now);
+            if (job.chatId !== null)
+                this._getChat(job.chatId).sent.push(now);
+            this._send(job);
+        }
+
+        if (wait !== null)
+            this._schedule(wait);
+    }
+
+    /**
+     * Perform the request
+     * @param {object} job                      Queue item
+     */
+    _send(job) {
+        this._running++;
+
+        let promise;
+        try {
+            promise = Promise.resolve(job.cb());
+        } catch (error) {
+            promise = Promise.reject(error);
+        }
+
+        promise
+            .then(
+                result => {
+                    job.resolve(result);
+                },
+                error => {
+                    if (error && error.code === 429 && job.attempts < this.maxRetries) {
+                        job.attempts++;
+                        let retryAfter = (error.parameters && error.parameters.retry_after) || 1;
+                        this._logger.warn(
+                            `[Telegram] ${this.server}: Flood limit reached` +
+                            (job.chatId === null ? '' : ` in chat ${job.chatId}`) +
+                            `, retrying in ${retryAfter} second(s)`
+                        );
+
+                        let until = Date.now() + retryAfter * 1000;
+                        if (job.chatId === null)
+                            this._blockedUntil = Math.max(this._blockedUntil, until);
+                        else
+                            this._getChat(job.chatId).blockedUntil = until;
+
+                        this._queue.unshift(job);
+                        this._schedule(0);
+                        return;
+                    }
+
+                    job.reject(error && error.code === 429 ? new NError(error, 'SendQueue: retries exhausted') : error);
+                }
+            )
+            .then(() => {
+                this._running--;
+                if (!this._queue.length && !this._running) {
+                    let waiting = this._waiting;
+                    this._waiting = [];
+                    for (let resolve of waiting)
+                        resolve();
+                }
+            });
+    }
+
+    /**
+     * Time before next request can be sent by the bot, ms
+     * @param {number} now                      Current timestamp
+     * @return {number}
+     */
+    _getGlobalDelay(now) {
+        let delay = this._blockedUntil - now;
+        let limit = this.globalLimit;
+        if (this._sent.length >= limit)
+            delay = Math.max(delay, this._sent[this._sent.length - limit] + 1000 - now);
+        return Math.max(delay, 0);
+    }
+
+    /**
+     * Time before next request can be sent to the chat, ms
+     * @param {string|null} chatId              Chat ID
+     * @param {number} now                      Current timestamp
+     * @return {number}
+     */
+    _getChatDelay(chatId, now) {
+        if (chatId === null || !this._chats.has(chatId))
+            return 0;
+
+        let chat = this._chats.get(chatId);
+        let delay = chat.blockedUntil - now;
+        // negative IDs and @channelname
+        let isGroup = !/^\d+$/.test(chatId);
+        let limit = isGroup ? this.groupLimit : this.chatLimit;
+        let period = isGroup ? 60000 : 1000;
+        if (chat.sent.length >= limit)
+            delay = Math.max(delay, chat.sent[chat.sent.length - limit] + period - now);
+        return Math.max(delay, 0);
+    }
+
+    /**
+     * Get chat state
+     * @param {string} chatId                   Chat ID
+     * @return {object}
+     */
+    _getChat(chatId) {
+        let chat = this._chats.get(chatId);
+        if (!chat) {
+            chat = {
+                sent: [],
+                blockedUntil: 0,
+            };
+            this._chats.set(chatId, chat);
+        }
+        return chat;
+    }
+
+    /**
+     * Forget requests which are out of the limit windows
+     * @param {number} now                      Current timestamp
+     */
+    _cleanup(now) {
+        while (this._sent.length && this._sent[0] <= now - 1000)
+            this._sent.shift();
+
+        for (let [ chatId, chat ] of this._chats) {
+            while (chat.sent.length && chat.sent[0] <= now - 60000)
+                chat.sent.shift();
+            if (!chat.sent.length && chat.blockedUntil <= now)
+                this._chats.delete(chatId);
+        }
+    }
+}
+
+module.exports = SendQueue;
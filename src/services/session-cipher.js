@@ -0,0 +1,134 @@
+/**
+ * Session data encryption
+ * @module telegram/services/session-cipher
+ */
+const crypto = require('crypto');
+
+/**
+ * Authenticated encryption of session data with AES-256-GCM
+ * <br><br>
+ * servers.&lt;name&gt;.session.encryption is either a secret string or { key, old_keys } object,
+ * old keys are only used for decryption
+ */
+class SessionCipher {
+    /**
+     * Create the service
+     * @param {object} config                   Configuration
+     * @param {string} server                   Server name
+     */
+    constructor(config, server) {
+        this.server = server;
+
+        this._config = config;
+    }
+
+    /**
+     * Service name is 'telegram.services.sessionCipher'
+     * @type {string}
+     */
+    static get provides() {
+        return 'telegram.services.sessionCipher';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config' ];
+    }
+
+    /**
+     * Format version prefix
+     * @type {string}
+     */
+    static get prefix() {
+        return 'v1';
+    }
+
+    /**
+     * Encryption keys, current key is the first one
+     * @type {Buffer[]}
+     */
+    get keys() {
+        let config = this._config.get(`servers.${this.server}.session.encryption`);
+        if (!config)
+            return [];
+
+        let secrets = (typeof config === 'string') ? [ config ] : [ config.key ].concat(config.old_keys || []);
+        return secrets
+            .filter(secret => !!secret)
+            .map(secret => crypto.createHash('sha256').update(secret).digest());
+    }
+
+    /**
+     * Encryption is configured
+     * @type {boolean}
+     */
+    get enabled() {
+        return this.keys.length > 0;
+    }
+
+    /**
+     * Check if value is encrypted
+     * @param {*} value                         Value
+     * @return {boolean}
+     */
+    isEncrypted(value) {
+        return !!value && typeof value === 'object' && typeof value.$encrypted === 'string';
+    }
+
+    /**
+     * Encrypt value with current key
+     * @param {*} value                         JSON-serializable value
+     * @return {object}                         Returns { $encrypted }
+     */
+    encrypt(value) {
+        let [ key ] = this.keys;
+        if (!key)
+            throw new Error('Session encryption key is not set');
+
+        let iv = crypto.randomBytes(12);
+        let cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        let data = Buffer.concat([ cipher.update(JSON.stringify(value === undefined ? null : value), 'utf8'), cipher.final() ]);
+        let tag = cipher.getAuthTag();
+
+        return {
+            $encrypted: [
+                this.constructor.prefix,
+                iv.toString('base64'),
+                tag.toString('base64'),
+                data.toString('base64'),
+            ].join(':'),
+        };
+    }
+
+    /**
+     * Decrypt value trying all the keys, value is returned as is if it is not encrypted
+     * @param {*} value                         Value
+     * @return {*}
+     */
+    decrypt(value) {
+        if (!this.isEncrypted(value))
+            return value;
+
+        let [ prefix, iv, tag, data ] = value.$encrypted.split(':');
+        if (prefix !== this.constructor.prefix || !iv || !tag || !data)
+            throw new Error('Invalid encrypted session data');
+
+        for (let key of this.keys) {
+            try {
+                let decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(tag, 'base64'));
+                let result = Buffer.concat([ decipher.update(Buffer.from(data, 'base64')), decipher.final() ]);
+                return JSON.parse(result.toString('utf8'));
+            } catch (error) {
+                // try next key
+            }
+        }
+
+        throw new Error('Could not decrypt session data');
+    }
+}
+
+module.exports = SessionCipher;
@@ -0,0 +1,83 @@
+/**
+ * Session payload migrations
+ * @module telegram/services/session-migrations
+ */
+
+/**
+ * Registry of session payload migrations
+ * <br><br>
+ * Migration to version N is a function(payload, session) returning (or resolving to) the payload of version N
+ */
+class SessionMigrations {
+    /**
+     * Create the service
+     */
+    constructor() {
+        this.migrations = new Map();
+    }
+
+    /**
+     * Service name is 'telegram.services.sessionMigrations'
+     * @type {string}
+     */
+    static get provides() {
+        return 'telegram.services.sessionMigrations';
+    }
+
+    /**
+     * This service is a singleton
+     * @type {string}
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Current payload version
+     * @type {number}
+     */
+    get version() {
+        let result = 0;
+        for (let version of this.migrations.keys()) {
+            if (version > result)
+                result = version;
+        }
+        return result;
+    }
+
+    /**
+     * Register migration
+     * @param {number} version                  Version of the payload after migration
+     * @param {function} migration              Migration function
+     */
+    add(version, migration) {
+        if (!Number.isInteger(version) || version < 1)
+            throw new Error(`Invalid payload version: ${version}`);
+        if (this.migrations.has(version))
+            throw new Error(`Migration to version ${version} is already registered`);
+
+        this.migrations.set(version, migration);
+    }
+
+    /**
+     * Upgrade session payload to current version
+     * @param {SessionModel} session            Session model
+     * @return {Promise}                        Resolves to true if payload was changed
+     */
+    async migrate(session) {
+        let from = session.payloadVersion || 0;
+        let versions = Array.from(this.migrations.keys())
+            .filter(version => version > from)
+            .sort((a, b) => a - b);
+
+        for (let version of versions) {
+            let payload = await this.migrations.get(version)(session.payload || {}, session);
+            session.payload = payload || {};
+            session.payloadVersion = version;
+        }
+
+        return versions.length > 0;
+    }
+}
+
+module.exports = SessionMigrations;
@@ -12,18 +12,24 @@ class TelegramSession {
      * @param {App} app                         The application
      * @param {object} config                   Configuration
      * @param {Logger} logger                   Logger service
+     * @param {SessionMigrations} migrations    Session migrations service
      * @param {string} server                   Server name
      */
-    constructor(app, config, logger, server) {
+    constructor(app, config, logger, migrations, server) {
         this.server = server;
 
         this._app = app;
         this._config = config;
         this._logger = logger;
+        this._migrations = migrations;
+        this._versions = new WeakMap();
 
         let sessionRepo = this._config.get(`servers.${server}.session.session_repository`);
         if (sessionRepo)
-            this._sessionRepo = this._app.get(sessionRepo);
+            this._sessionRepo = this._app.get(sessionRepo, server);
+
+        if (this._config.get(`servers.${server}.session.encryption`))
+            this._cipher = this._app.get('telegram.services.sessionCipher', server);
 
         let userRepo = this._config.get(`servers.${server}.session.user_repository`);
         if (userRepo)
@@ -47,11 +53,12 @@ class TelegramSession {
             'app',
             'config',
             'logger',
+            'telegram.services.sessionMigrations',
         ];
     }
 
     /**
-     * Combine and delay write operations, seconds
+     * Combine and delay write operations, seconds (used by Session service)
      * @type {number}
      */
     get saveInterval() {
@@ -74,13 +81,102 @@ class TelegramSession {
         return this._config.get(`servers.${this.server}.session.expire_interval`) || 0;
     }
 
+    /**
+     * Session key strategy: 'user', 'chat', 'chat+user' or resolver function
+     * <br><br>
+     * Resolver function is called with Telegraf context and returns { telegramId, chatId } object
+     * (any of the IDs could be null) or null when the update should have no session
+     * @type {string|function}
+     */
+    get keyStrategy() {
+        return this._config.get(`servers.${this.server}.session.key`) || 'user';
+    }
+
+    /**
+     * Current payload version
+     * @type {number}
+     */
+    get payloadVersion() {
+        return this._migrations.version;
+    }
+
+    /**
+     * Max number of merge attempts when saving conflicting session
+     * @type {number}
+     */
+    get conflictRetries() {
+        let retries = this._config.get(`servers.${this.server}.session.conflict_retries`);
+        return typeof retries === 'number' ? retries : 3;
+    }
+
+    /**
+     * Session of updates without a sender (channel posts, polls): 'chat' or 'none'
+     * @type {string}
+     */
+    get anonymousStrategy() {
+        return this._config.get(`servers.${this.server}.session.anonymous`) || 'none';
+    }
+
+    /**
+     * Build cache token
+     * @param {string|null} telegramId              Telegram user ID
+     * @param {string|null} chatId                  Telegram chat ID
+     * @return {string}
+     */
+    static getToken(telegramId, chatId) {
+        if (chatId === null || chatId === undefined)
+            return telegramId;
+        return `${chatId}:${telegramId || ''}`;
+    }
+
+    /**
+     * Get session key of an update
+     * @param {object} ctx                          Telegraf context
+     * @return {object|null}                        Returns { token, telegramId, chatId, from } or null
+     */
+    getKey(ctx) {
+        let strategy = this.keyStrategy;
+        let key;
+        if (typeof strategy === 'function') {
+            key = strategy(ctx);
+        } else {
+            switch (strategy) {
+                case 'user':
+                    key = ctx.from ? { telegramId: ctx.from.id, chatId: null } : null;
+                    break;
+                case 'chat':
+                    key = ctx.chat ? { telegramId: null, chatId: ctx.chat.id } : null;
+                    break;
+                case 'chat+user':
+                    key = (ctx.from && ctx.chat) ? { telegramId: ctx.from.id, chatId: ctx.chat.id } : null;
+                    break;
+                default:
+                    throw new Error(`Invalid session key strategy: ${strategy}`);
+            }
+
+            if (!ctx.from)
+                key = (ctx.chat && this.anonymousStrategy === 'chat') ? { telegramId: null, chatId: ctx.chat.id } : null;
+        }
+        if (!key || (!key.telegramId && !key.chatId))
+            return null;
+
+        let telegramId = key.telegramId ? key.telegramId.toString() : null;
+        let chatId = key.chatId ? key.chatId.toString() : null;
+        return {
+            token: this.constructor.getToken(telegramId, chatId),
+            telegramId: telegramId,
+            chatId: chatId,
+            from: ctx.from || null,
+        };
+    }
+
     /**
      * Create session model
      * @param {UserModel|null} user                 User model or null for anonymous session
-     * @param {*} from                              Telegram from object
+     * @param {object} key                          Session key as returned by getKey()
      * @return {Promise}                            Resolves to session model
      */
-    async create(user, from) {
+    async create(user, key) {
         let model = this._config.get(`servers.${this.server}.session.model`);
         let session;
         if (model)
@@ -90,12 +186,16 @@ class TelegramSession {
         else
             throw new Error('No model for the bridge');
 
-        if (!from || !from.id)
-            throw new Error('Invalid "from" data');
+        if (!key || (!key.telegramId && !key.chatId))
+            throw new Error('Invalid session key');
 
-        session.telegramId = from.id.toString();
+        session.token = key.token || this.constructor.getToken(key.telegramId || null, key.chatId || null);
+        session.telegramId = key.telegramId || null;
+        session.chatId = key.chatId || null;
+        session.version = 0;
         session.payload = {};
-        session.info = from;
+        session.payloadVersion = this.payloadVersion;
+        session.info = key.from || null;
         session.user = user;
         if (user)
             session.userId = user.id;
@@ -104,40 +204,111 @@ class TelegramSession {
 
     /**
      * Find session model
-     * @param {string} telegramId                   Telegram ID
-     * @param {*} from                              Telegram from object
+     * <br><br>
+     * Session repository is queried with findByTelegramId(telegramId, chatId), where any of the IDs could be null
+     * @param {string} token                        Cache token
+     * @param {object} [key]                        Session key as returned by getKey(), token is a Telegram ID if omitted
      * @return {Promise}                            Resolves to session model or null
      */
-    async find(telegramId, from) {
+    async find(token, key) {
         if (!this._sessionRepo)
             return null;
 
-        let sessions = await this._sessionRepo.findByTelegramId(telegramId.toString());
+        if (!key)
+            key = { telegramId: token.toString(), chatId: null, from: null };
+
+        let sessions = this._decode(await this._sessionRepo.findByTelegramId(key.telegramId || null, key.chatId || null));
         let session = sessions.length && sessions[0];
         if (!session)
             return null;
 
+        session.token = token.toString();
+
+        this._remember(session);
+        await this._migrations.migrate(session);
+
         if (session.userId && this._userRepo) {
             let users = await this._userRepo.find(session.userId);
             session.user = (users.length && users[0]) || null;
         }
 
-        session.info = from;
+        if (key.from)
+            session.info = key.from;
 
         return session;
     }
 
+    /**
+     * Find user of the update sender, user repository should implement findByTelegramId()
+     * <br><br>
+     * Used when the session is not keyed by the sender, so the user can not be stored in it
+     * @param {object} from                         Telegram user
+     * @return {Promise}                            Resolves to user model or null
+     */
+    async findUser(from) {
+        if (!from || !this._userRepo || typeof this._userRepo.findByTelegramId !== 'function')
+            return null;
+
+        let users = await this._userRepo.findByTelegramId(from.id.toString());
+        return (users.length && users[0]) || null;
+    }
+
     /**
      * Save session model
      * @param {SessionModel} session                Session model
-     * @param {*} from                              Telegram from object
+     * @param {object} [key]                        Session key as returned by getKey()
      * @return {Promise}
      */
-    async save(session, from) {
-        session.info = from;
+    async save(session, key) {
+        if (key && key.from)
+            session.info = key.from;
         session.userId = session.user ? session.user.id : null;
         if (this._sessionRepo)
-            await this._sessionRepo.save(session);
+            await this._write(session);
+    }
+
+    /**
+     * Upgrade payloads of all the stored sessions, session repository should implement findAll()
+     * @return {Promise}                            Resolves to number of migrated sessions
+     */
+    async migrateAll() {
+        if (!this._sessionRepo)
+            return 0;
+        if (typeof this._sessionRepo.findAll !== 'function')
+            throw new Error('Session repository does not support findAll()');
+
+        let count = 0;
+        let sessions = this._decode(await this._sessionRepo.findAll());
+        for (let session of sessions) {
+            this._remember(session);
+            if (await this._migrations.migrate(session)) {
+                await this._write(session);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Merge payload changes at the key level
+     * @param {object} original                     Payload as it was loaded
+     * @param {object} current                      Payload with our changes
+     * @param {object} stored                       Payload with changes of somebody else
+     * @return {object}                             Stored payload with our changed keys applied
+     */
+    merge(original, current, stored) {
+        let result = Object.assign({}, stored);
+        let keys = new Set(Object.keys(original).concat(Object.keys(current)));
+        for (let key of keys) {
+            if (JSON.stringify(original[key]) === JSON.stringify(current[key]))
+                continue;
+
+            if (current.hasOwnProperty(key))
+                result[key] = current[key];
+            else
+                delete result[key];
+        }
+        return result;
     }
 
     /**
@@ -151,12 +322,120 @@ class TelegramSession {
     }
 
     /**
-     * Delete expired session models
-     * @return {Promise}
+     * Delete expired session models, called by Session service every expirationInterval seconds
+     * @return {Promise}                            Resolves to number of deleted sessions
      */
     async expire() {
-        if (this._sessionRepo && this._sessionRepo.deleteExpired)
-            await this._sessionRepo.deleteExpired(this.expirationTimeout);
+        if (!this._sessionRepo || !this._sessionRepo.deleteExpired || !this.expirationTimeout)
+            return 0;
+
+        let result = await this._sessionRepo.deleteExpired(this.expirationTimeout);
+        let count = Array.isArray(result) ? result.length : (typeof result === 'number' ? result : 0);
+        if (count)
+            this._logger.info(`[Telegram] ${this.server}: Expired ${count} session(s)`);
+        else
+            this._logger.debug('telegram', `${this.server}: No expired sessions`);
+        return count;
+    }
+
+    /**
+     * Write session to the repository
+     * <br><br>
+     * Version is checked if the repository implements saveIfVersion(session, version), which saves the session
+     * only if the stored one has the given version and resolves to false otherwise. Other repositories are
+     * written without the check.
+     * @param {SessionModel} session                Session model
+     * @return {Promise}
+     */
+    async _write(session) {
+        let loaded = this._versions.get(session) || { version: session.version || 0, payload: {} };
+        let version = loaded.version;
+        let original = loaded.payload;
+        let versioned = typeof this._sessionRepo.saveIfVersion === 'function';
+        for (let attempt = 0; ; attempt++) {
+            session.version = version + 1;
+            let encoded = this._encode(session);
+            if (!versioned)
+                await this._sessionRepo.save(encoded);
+            else if (!await this._sessionRepo.saveIfVersion(encoded, version))
+                encoded = null;
+
+            if (encoded) {
+                if (!session.id)
+                    session.id = encoded.id;
+                this._remember(session);
+                return;
+            }
+
+            session.version = version;
+            let who = session.telegramId ? `Telegram ID ${session.telegramId}` : `chat ${session.chatId}`;
+            if (attempt >= this.conflictRetries)
+                throw new Error(`Could not resolve session conflict of ${who}`);
+
+            let sessions = this._decode(await this._sessionRepo.findByTelegramId(session.telegramId || null, session.chatId || null));
+            let stored = session.id ? sessions.find(item => item.id === session.id) : sessions[0];
+            this._logger.warn(
+                `[Telegram] ${this.server}: Session of ${who} was modified concurrently ` +
+                `(version ${version}, stored ${stored ? stored.version || 0 : 'none'}), merging`
+            );
+
+            if (!stored) {
+                version = 0;
+                continue;
+            }
+
+            if (!session.id)
+                session.id = stored.id;
+            session.payload = this.merge(original, session.payload, stored.payload || {});
+            version = stored.version || 0;
+            original = JSON.parse(JSON.stringify(stored.payload || {}));
+        }
+    }
+
+    /**
+     * Get copy of the session with encrypted data if encryption is enabled
+     * @param {SessionModel} session                Session model
+     * @return {SessionModel}
+     */
+    _encode(session) {
+        if (!this._cipher)
+            return session;
+
+        let encoded = Object.assign(Object.create(Object.getPrototypeOf(session)), session);
+        encoded.payload = this._cipher.encrypt(session.payload || {});
+        encoded.info = this._cipher.encrypt(session.info || null);
+        return encoded;
+    }
+
+    /**
+     * Decrypt data of the sessions loaded from the repository, data encrypted with old keys
+     * will be encrypted with the current key on next save
+     * @param {SessionModel[]} sessions             Session models
+     * @return {SessionModel[]}
+     */
+    _decode(sessions) {
+        if (!this._cipher)
+            return sessions;
+
+        for (let session of sessions) {
+            session.payload = this._cipher.decrypt(session.payload) || {};
+            session.info = this._cipher.decrypt(session.info);
+        }
+        return sessions;
+    }
+
+    /**
+     * Remember version and payload of the session as it is in the repository
+     * @param {SessionModel} session                Session model
+     */
+    _remember(session) {
+        this._versions.set(
+            session,
+            {
+                version: session.version || 0,
+                payload: JSON.parse(JSON.stringify(session.payload || {})),
+            }
+        );
     }
 }
 